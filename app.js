@@ -1,25 +1,69 @@
 // Habit Tracker (GitHub Pages friendly, no build step)
-// Storage is localStorage + optional Google Sheet sync via Apps Script Web App.
-
-// Firebase (CDN, modular SDK)
-import { initializeApp } from "https://www.gstatic.com/firebasejs/12.7.0/firebase-app.js";
-import { getAuth, onAuthStateChanged, signInAnonymously, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut } from "https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js";
-import { getFirestore, doc, getDoc, setDoc, getDocs, collection, serverTimestamp } from "https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js";
+// Storage is localStorage + optional sync via Firebase or an HTTP JSON API (docs/sync-api.md).
+
+import {
+  isISODate, addDays, daysBetween, weekdayOf, addMonths, eachDate, formatDate,
+  isValidTimeZone, deviceTimeZone, zonedDateTime, logicalDate, minutesIntoDay, periodStart, periodEnd, periodLabel,
+  rollupPeriods
+} from "./dates.js";
+import {
+  isQuotaSchedule, habitActiveOn, periodDoneCount, isDueOn, scheduleTally, scheduleWindow, computeStreaks
+} from "./schedules.js";
+import {
+  DETAIL_TYPES, DETAIL_TYPE_NAMES, normalizeDetail, legacyDetail, parseNumberish, parseDetail, formatDetail, numericValue, cellValue,
+  SUMMARY_NAMES, defaultSummary, summaryAllowed, normalizeSummary, formatAmount, summarizeValues, describeDetail, detailLabel
+} from "./details.js";
+import {
+  GOAL_PERIODS, GOAL_LOG_MAX, goalSumAllowed, normalizeGoal, parseGoalTarget, goalPeriod, goalHistoryPeriods, goalChange
+} from "./goals.js";
+import { DATA_SCHEMA, schemaOf, assertKnownSchema, migrateData } from "./migrations.js";
+import {
+  CRYPTO_ITERATIONS, toBase64, fromBase64, randomBytes, utf8, derivePassphraseKey, newDataKey, sealWith, openWith,
+  isSealed, newKeyring, headerFor, unwrapHeader, unlockHeader, sealValue, unsealValue
+} from "./crypto.js";
+import { sameCellContent, dayRevision, toRemoteDay, markDaySynced, mergeDay, mergeHabits } from "./merge.js";
+
+// Firebase (CDN, modular SDK). Imported on first use rather than up front,
+// so the app still starts when the CDN can't be reached (offline); see
+// loadFirebaseSdk(). Keep the version in sync with sw.js.
+const FIREBASE_SDK = "https://www.gstatic.com/firebasejs/12.7.0";
+let initializeApp;
+let getAuth, onAuthStateChanged, signInAnonymously, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut;
+let getFirestore, doc, getDoc, setDoc, getDocs, collection, query, where, serverTimestamp, Timestamp;
 
 const LS_KEYS = {
-  creds: "ht.creds.v1",            // { userHash, passHash }
+  creds: "ht.creds.v1",            // { v: 2, salt, iterations, hash } (v1: unsalted { userHash, passHash })
   session: "ht.session.v1",        // { loggedInUntil }
-  config: "ht.config.v1",          // { apiUrl, apiKey }
-  habits: "ht.habits.v1",          // [ {id,name,hasText,textLabel} ]
-  entries: "ht.entries.v1",        // { [date]: { [habitId]: {done, text} } }
-  lastSync: "ht.lastSync.v1"
+  loginGuard: "ht.loginGuard.v1",  // { failures, lockedUntil } (failed logins in a row)
+  config: "ht.config.v1",          // { provider: "firebase"|"rest"|"none", apiUrl, apiKey }
+  habits: "ht.habits.v1",          // legacy, moved to IndexedDB (see Storage)
+  entries: "ht.entries.v1",        // legacy, moved to IndexedDB (see Storage)
+  tombstones: "ht.tombstones.v1",  // { [habitId]: deletedAt } (deleted habits, for sync)
+  device: "ht.device.v1",          // random id of this browser
+  prefs: "ht.prefs.v1",            // see DEFAULT_PREFS
+  pending: "ht.pending.v1",        // [dateISO,...] (dates not uploaded yet)
+  reminders: "ht.reminders.v1",    // { date, sent: [habitId|"summary"] } (reminders shown today)
+  lastSync: "ht.lastSync.v1",      // { account, schema, watermark, fullAt, historyPushedAt, historyWatermark, runs: [{at,mode,reads,writes}] }
+  crypto: "ht.crypto.v1"           // encryption header (see Encryption), no keys in the clear
+};
+
+const DEFAULT_PREFS = {
+  streakGrace: 0,                  // missed due days forgiven per 7 days
+  sessionHours: 12,                // how long a login lasts
+  idleLockMinutes: 0,              // lock after this long without input (0 = never)
+  remindersOn: false,              // reminders on this device
+  reminderSummary: "21:00",        // "nothing logged today" reminder ("" = off)
+  weekStart: 1,                    // first day of the week in rollups (0 = Sunday, 1 = Monday)
+  timeZone: "",                    // home time zone for "today" and reminders ("" = this device's)
+  dayStartHour: 0,                 // hours after midnight that still count as the day before
+  syncHistory: false               // upload / pull the change history with each sync
 };
 
 const DEFAULT_HABITS = [
-  { id: "exercise", name: "Exercise", hasText: false, textLabel: "" },
-  { id: "running", name: "Running", hasText: true, textLabel: "kms" },
-  { id: "coding", name: "Coding practice", hasText: false, textLabel: "" },
-  { id: "paper", name: "Research paper", hasText: true, textLabel: "paper title" }
+  { id: "exercise", name: "Exercise", detail: { type: "none" } },
+  { id: "running", name: "Running", detail: { type: "number", label: "Distance", unit: "km" } },
+  { id: "coding", name: "Coding practice", detail: { type: "none" } },
+  { id: "paper", name: "Research paper", detail: { type: "text", label: "paper title" } }
 ];
 
 const $ = (sel) => document.querySelector(sel);
@@ -40,56 +84,472 @@ function saveJSON(key, value){
 
 function normalizeHabits(list){
   if(!Array.isArray(list)) return [];
+  const today = todayISO();
   return list
     .filter(h => h && typeof h === "object")
     .map(h => ({
       id: String(h.id || "").trim(),
       name: String(h.name || "").trim(),
-      hasText: !!h.hasText,
-      textLabel: String(h.textLabel || "").trim()
+      detail: normalizeDetail(h.detail || legacyDetail(h)),
+      summary: String(h.summary || ""),
+      schedule: normalizeSchedule(h.schedule),
+      archivedAt: isISODate(h.archivedAt) ? h.archivedAt : "",
+      reminder: isHHMM(h.reminder) ? h.reminder : "",
+      goal: h.goal ?? null,
+      goalLog: Array.isArray(h.goalLog) ? h.goalLog : [],
+      updatedAt: Number(h.updatedAt) || 0
     }))
-    .filter(h => h.id && h.name);
+    .filter(h => h.id && h.name)
+    .map(h => ({
+      ...h,
+      summary: normalizeSummary(h.summary, h.detail),
+      goal: normalizeGoal(h.goal, h.detail, today),
+      goalLog: h.goalLog.map(g => normalizeGoal(g, h.detail, today)).filter(g => g && isISODate(g.until)).slice(-GOAL_LOG_MAX)
+    }));
 }
 
-function getHabits(){
-  const raw = loadJSON(LS_KEYS.habits, DEFAULT_HABITS);
-  const clean = normalizeHabits(raw);
-  if(clean.length === 0){
-    saveJSON(LS_KEYS.habits, DEFAULT_HABITS);
-    return DEFAULT_HABITS;
+/* ---------------- Storage ----------------
+  Habits and day entries live in IndexedDB: one record per date in "days"
+  (so reports read just the range they show) and the habit list under
+  "habits" in "meta", next to other larger blobs (e.g. the pre-import
+  snapshot). Small settings stay in localStorage. Without
+  IndexedDB (some private modes) the same interface runs on the old
+  localStorage blobs.
+    habits   [ {id,name,detail,summary,schedule,archivedAt,reminder,goal,goalLog,updatedAt} ]
+    day      { [habitId]: {done, value, updatedAt, device, syncedRev} }
+    changes  one record per edit, see "Change history" (version 2)
+*/
+
+const IDB_NAME = "habit-tracker";
+const IDB_VERSION = 2;
+
+let storage = null;       // set by openStorage()
+let habitsCache = [];     // habits are few and read everywhere, so kept in memory
+let storageRev = 0;       // bumped on every day write (invalidates memoized reads)
+
+function idbRequest(req){
+  return new Promise((resolve, reject)=>{
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+}
+
+function idbDone(tx){
+  return new Promise((resolve, reject)=>{
+    tx.oncomplete = ()=> resolve();
+    tx.onerror = ()=> reject(tx.error);
+    tx.onabort = ()=> reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+function openIndexedDB(){
+  return new Promise((resolve, reject)=>{
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if(!db.objectStoreNames.contains("days")) db.createObjectStore("days", { keyPath: "date" });
+      if(!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+      if(!db.objectStoreNames.contains("changes")){
+        const os = db.createObjectStore("changes", { keyPath: "id" });
+        os.createIndex("date", "date");
+        os.createIndex("at", "at");
+      }
+    };
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+    req.onblocked = ()=> reject(new Error("Close the app's other tabs to finish upgrading its database."));
+  });
+}
+
+function indexedDBStorage(db){
+  const rowsToMap = (rows) => Object.fromEntries(rows.map(r => [r.date, r.day]));
+  return {
+    kind: "indexeddb",
+    getMeta: (key)=> idbRequest(db.transaction("meta").objectStore("meta").get(key)),
+    putMeta(key, value){
+      const tx = db.transaction("meta", "readwrite");
+      if(value === null) tx.objectStore("meta").delete(key);
+      else tx.objectStore("meta").put(value, key);
+      return idbDone(tx);
+    },
+    getHabits(){ return this.getMeta("habits"); },
+    putHabits(list){ return this.putMeta("habits", list); },
+    async getRange(start, end){
+      const range = (start || end) ? IDBKeyRange.bound(start || "0000-01-01", end || "9999-12-31") : undefined;
+      return rowsToMap(await idbRequest(db.transaction("days").objectStore("days").getAll(range)));
+    },
+    async firstDate(){
+      const cursor = await idbRequest(db.transaction("days").objectStore("days").openKeyCursor());
+      return cursor ? cursor.key : null;
+    },
+    async getDates(dates){
+      const os = db.transaction("days").objectStore("days");
+      const rows = await Promise.all(dates.map(d => idbRequest(os.get(d))));
+      return rowsToMap(rows.filter(Boolean));
+    },
+    putDays(days, replace = false){
+      const tx = db.transaction("days", "readwrite");
+      const os = tx.objectStore("days");
+      if(replace) os.clear();
+      for(const [date, day] of Object.entries(days)) os.put({ date, day });
+      return idbDone(tx);
+    },
+    getChanges(date){
+      const os = db.transaction("changes").objectStore("changes");
+      return idbRequest(date ? os.index("date").getAll(date) : os.getAll());
+    },
+    putChanges(list, replace = false){
+      const tx = db.transaction("changes", "readwrite");
+      const os = tx.objectStore("changes");
+      if(replace) os.clear();
+      for(const c of list) os.put(c);
+      return idbDone(tx);
+    },
+    // drop the oldest records beyond `max`
+    trimChanges(max){
+      const tx = db.transaction("changes", "readwrite");
+      const os = tx.objectStore("changes");
+      const count = os.count();
+      count.onsuccess = ()=>{
+        let extra = count.result - max;
+        if(extra <= 0) return;
+        os.index("at").openCursor().onsuccess = (e)=>{
+          const cursor = e.target.result;
+          if(!cursor || extra-- <= 0) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      };
+      return idbDone(tx);
+    }
+  };
+}
+
+function localStorageStorage(){
+  const all = () => {
+    const e = loadJSON(LS_KEYS.entries, {});
+    return (e && typeof e === "object") ? e : {};
+  };
+  const changes = () => {
+    const c = loadJSON("ht.meta.changes", []);
+    return Array.isArray(c) ? c : [];
+  };
+  return {
+    kind: "localStorage",
+    getMeta: async (key)=> loadJSON(`ht.meta.${key}`, null),
+    putMeta: async (key, value)=> value === null ? localStorage.removeItem(`ht.meta.${key}`) : saveJSON(`ht.meta.${key}`, value),
+    getHabits: async ()=> loadJSON(LS_KEYS.habits, null),
+    putHabits: async (list)=> saveJSON(LS_KEYS.habits, list),
+    async getRange(start, end){
+      return Object.fromEntries(Object.entries(all()).filter(([d]) => (!start || d >= start) && (!end || d <= end)));
+    },
+    async firstDate(){
+      return Object.keys(all()).filter(isISODate).sort()[0] || null;
+    },
+    async getDates(dates){
+      const e = all();
+      return Object.fromEntries(dates.filter(d => e[d]).map(d => [d, e[d]]));
+    },
+    putDays: async (days, replace = false)=> saveJSON(LS_KEYS.entries, { ...(replace ? {} : all()), ...days }),
+    getChanges: async (date)=> changes().filter(c => !date || c.date === date),
+    async putChanges(list, replace = false){
+      const byId = new Map((replace ? [] : changes()).map(c => [c.id, c]));
+      for(const c of list) byId.set(c.id, c);
+      saveJSON("ht.meta.changes", [...byId.values()]);
+    },
+    async trimChanges(max){
+      const list = changes();
+      if(list.length > max) saveJSON("ht.meta.changes", list.sort((a,b)=> a.at - b.at).slice(-max));
+    }
+  };
+}
+
+// Copy the old localStorage blobs over once, then drop them to free the
+// quota. They're copied as-is; ensureDefaults() upgrades them afterwards.
+async function migrateLocalStorage(st){
+  const rawHabits = loadJSON(LS_KEYS.habits, null);
+  const rawEntries = loadJSON(LS_KEYS.entries, null);
+  if(rawHabits === null && rawEntries === null) return;
+
+  const entries = (rawEntries && typeof rawEntries === "object" && !Array.isArray(rawEntries)) ? rawEntries : {};
+  if(Array.isArray(rawHabits) && rawHabits.length && !(await st.getHabits())){
+    await st.putHabits(rawHabits);
   }
-  if(JSON.stringify(clean) !== JSON.stringify(raw)){
-    saveJSON(LS_KEYS.habits, clean); // self-heal
+  await st.putDays(Object.fromEntries(Object.entries(entries).filter(([d, day]) => isISODate(d) && day && typeof day === "object")));
+  localStorage.removeItem(LS_KEYS.habits);
+  localStorage.removeItem(LS_KEYS.entries);
+}
+
+async function openStorage(){
+  if(storage) return storage;
+  try{
+    const st = indexedDBStorage(await openIndexedDB());
+    await migrateLocalStorage(st);
+    storage = st;
+  }catch(e){
+    console.warn("IndexedDB unavailable, using localStorage", e);
+    storage = localStorageStorage();
   }
-  return clean;
+  return storage;
+}
+
+function getHabits(){
+  return habitsCache;
 }
 
+let habitsWrite = Promise.resolve(); // sealing is async; keeps writes in order
+
 function setHabits(habits){
-  saveJSON(LS_KEYS.habits, normalizeHabits(habits));
+  habitsCache = normalizeHabits(habits);
+  if(!habitsCache.length) habitsCache = normalizeHabits(DEFAULT_HABITS);
+  const list = habitsCache;
+  const write = habitsWrite.then(async ()=> storage.putHabits(await seal(list, "habits")));
+  habitsWrite = write.catch(e => console.warn("saving habits failed", e));
+  return write;
+}
+
+// All entries, or only those in { start, end } (inclusive ISO dates).
+async function getEntries(range){
+  return openDays(await storage.getRange(range?.start, range?.end));
+}
+
+// Earliest date with stored data, or null.
+function firstEntryDate(){
+  return storage.firstDate();
+}
+
+// Entries for a list of dates; dates without data are omitted.
+async function getEntriesFor(dates){
+  return dates.length ? openDays(await storage.getDates([...new Set(dates)])) : {};
+}
+
+async function getDay(date){
+  return (await getEntriesFor([date]))[date] || {};
+}
+
+// Writes only the given days ({ [date]: day }); others are left alone.
+async function putEntries(days){
+  storageRev += 1;
+  await storage.putDays(await sealDays(days || {}));
 }
 
-function getEntries(){
-  const e = loadJSON(LS_KEYS.entries, {});
-  return (e && typeof e === "object") ? e : {};
+async function replaceEntries(entries){
+  storageRev += 1;
+  await storage.putDays(await sealDays(entries || {}), true);
 }
-function setEntries(entries){
-  saveJSON(LS_KEYS.entries, entries || {});
+
+function getPrefs(){
+  const p = loadJSON(LS_KEYS.prefs, {});
+  return { ...DEFAULT_PREFS, ...((p && typeof p === "object") ? p : {}) };
+}
+function setPrefs(patch){
+  saveJSON(LS_KEYS.prefs, { ...getPrefs(), ...patch });
 }
 
 function getConfig(){
-  return loadJSON(LS_KEYS.config, { apiUrl: "", apiKey: "" });
+  const c = loadJSON(LS_KEYS.config, {});
+  return { provider: "firebase", apiUrl: "", apiKey: "", ...((c && typeof c === "object") ? c : {}) };
+}
+function setConfig(patch){
+  saveJSON(LS_KEYS.config, { ...getConfig(), ...patch });
+}
+
+/* ---------------- Encryption ----------------
+  Optional end-to-end encryption with a passphrase. Each day and the habit
+  list are sealed with AES-GCM before they're written to IndexedDB or
+  uploaded, and opened after they're read or pulled. Dates stay readable so
+  range reads and incremental sync keep working (formats: crypto.js).
+  Data is encrypted with random data keys. They are wrapped with a key
+  derived from the passphrase (PBKDF2-SHA256, salted), so changing the
+  passphrase only rewraps them; rotating adds a new data key in front and
+  keeps the old ones to read what was sealed before. The header is stored
+  here (LS crypto) and on the synced habits doc; the newest one wins, so
+  other devices pick up rotations and ask for a changed passphrase.
+  { off: true, createdAt } records that encryption was turned off. Keys
+  only live in memory: the passphrase is asked for on every start.
+*/
+
+const PASSPHRASE_MIN = 8;
+
+let keyring = null;       // { kek, salt, iterations, keys: [{ id, key }] } while unlocked; keys[0] seals
+let remoteCrypto = null;  // newer header from another device, waiting for its passphrase
+
+function getCryptoHeader(){
+  const h = loadJSON(LS_KEYS.crypto, null);
+  return (h && typeof h === "object") ? h : null;
+}
+
+function encryptionEnabled(){
+  return !!getCryptoHeader()?.keys?.length;
+}
+
+async function seal(value, aad){
+  if(!encryptionEnabled()) return value;
+  if(!keyring) throw new Error("Your data is encrypted and still locked. Reload and enter your passphrase.");
+  return sealValue(keyring, value, aad);
+}
+
+function unseal(value, aad, what){
+  return unsealValue(keyring, value, aad, what);
+}
+
+async function sealDays(days){
+  if(!encryptionEnabled()) return days;
+  const sealed = await Promise.all(Object.entries(days).map(async ([date, day]) => [date, await seal(day, `day:${date}`)]));
+  return Object.fromEntries(sealed);
+}
+
+async function openDays(days){
+  const opened = await Promise.all(Object.entries(days).map(async ([date, day]) => [date, await unseal(day, `day:${date}`, `The entry for ${date}`)]));
+  return Object.fromEntries(opened);
+}
+
+// Re-write everything stored here under `ring` (null: in the clear) and
+// switch to `header`. With `upload`, every day is queued so the server copy
+// is re-written too. The old keyring stays loaded to read older uploads.
+async function reencryptAll(ring, header, upload){
+  const entries = await getEntries();
+  const snapshot = await readImportSnapshot();
+  const changes = await getChanges();
+  await habitsWrite;
+  if(ring) keyring = ring;
+  saveJSON(LS_KEYS.crypto, header);
+  await replaceEntries(entries);
+  await setHabits(getHabits());
+  if(snapshot) await writeImportSnapshot(snapshot);
+  await replaceChanges(changes);
+  if(upload){
+    saveJSON(LS_KEYS.pending, [...new Set([...getPending(), ...Object.keys(entries)])]);
+    setLastSync({ historyPushedAt: 0 }); // re-upload the history sealed the new way
+  }
+}
+
+async function adoptHeader(ring, header){
+  const known = new Set(ring.keys.map(k => k.id));
+  const local = getCryptoHeader();
+  if(encryptionEnabled() && local.keys.every(k => known.has(k.id))){
+    keyring = ring;
+    saveJSON(LS_KEYS.crypto, header);
+  }else{
+    await reencryptAll(ring, header, false);
+  }
+}
+
+// The synced habits doc carries the header of the device that wrote it
+// last. Newer than ours: take it over (same passphrase), turn encryption
+// off like the other device did, or stop until the user enters the
+// other device's passphrase.
+async function checkRemoteCrypto(remote){
+  remoteCrypto = null;
+  if(!remote?.createdAt || remote.createdAt <= (getCryptoHeader()?.createdAt || 0)) return;
+  if(remote.off){
+    if(encryptionEnabled()) await reencryptAll(null, remote, false);
+    else saveJSON(LS_KEYS.crypto, remote);
+    return;
+  }
+  if(keyring && keyring.salt === remote.salt && keyring.iterations === remote.iterations){
+    const ring = await unwrapHeader(keyring.kek, remote).catch(()=> null);
+    if(ring) return adoptHeader(ring, remote);
+  }
+  remoteCrypto = remote;
+  renderCryptoBox();
+  throw new Error("Your synced data is encrypted with a passphrase set on another device. Enter it in Settings → Encryption to keep syncing.");
+}
+
+async function saveEncryption(pass, pass2, rotate){
+  if(remoteCrypto){
+    const ring = await unlockHeader(remoteCrypto, pass);
+    if(!ring) return { ok:false, msg:"Wrong passphrase." };
+    await adoptHeader(ring, remoteCrypto);
+    remoteCrypto = null;
+    return { ok:true, msg:"Unlocked. Syncing…" };
+  }
+  if(pass.length < PASSPHRASE_MIN) return { ok:false, msg:`Use at least ${PASSPHRASE_MIN} characters.` };
+  if(pass !== pass2) return { ok:false, msg:"The passphrases don't match." };
+
+  if(!encryptionEnabled()){
+    const ring = await newKeyring(pass, [await newDataKey()]);
+    await reencryptAll(ring, await headerFor(ring), true);
+    return { ok:true, msg:"Encryption is on. Re-uploading your data encrypted…" };
+  }
+  const ring = await newKeyring(pass, rotate ? [await newDataKey(), ...keyring.keys] : keyring.keys);
+  const header = await headerFor(ring);
+  if(rotate){
+    await reencryptAll(ring, header, true);
+    return { ok:true, msg:"Passphrase changed and data re-encrypted with a new key. Re-uploading…" };
+  }
+  keyring = ring;
+  saveJSON(LS_KEYS.crypto, header);
+  return { ok:true, msg:"Passphrase changed." };
+}
+
+async function disableEncryption(){
+  await reencryptAll(null, { off: true, createdAt: Date.now() }, true);
+  return { ok:true, msg:"Encryption is off. Re-uploading your data unencrypted…" };
+}
+
+function renderCryptoBox(){
+  if(!$("#cryptoBox")) return;
+  const header = getCryptoHeader();
+  const on = encryptionEnabled();
+  $("#cryptoState").textContent = remoteCrypto
+    ? "Your synced data was encrypted on another device, or its passphrase changed there. Enter that passphrase to keep syncing."
+    : on
+      ? `On · passphrase set ${new Date(header.createdAt).toLocaleString()} · ${header.keys.length} key(s)`
+      : "Off";
+  $("#btnCryptoSave").textContent = remoteCrypto ? "Unlock synced data" : on ? "Change passphrase" : "Turn on encryption";
+  $("#cryptoPass2Wrap").classList.toggle("hidden", !!remoteCrypto);
+  $("#cryptoRotateWrap").classList.toggle("hidden", !on || !!remoteCrypto);
+  $("#btnCryptoOff").classList.toggle("hidden", !on || !!remoteCrypto);
 }
 
-function ensureDefaults(){
-  const habits = loadJSON(LS_KEYS.habits, null);
-  if(!Array.isArray(habits) || habits.length === 0){
-    saveJSON(LS_KEYS.habits, DEFAULT_HABITS);
-  } else {
-    setHabits(habits); // normalize existing
+// Shown at startup while the data is encrypted; resolves once unlocked.
+function promptUnlock(){
+  openOverlay("#unlockOverlay");
+  $("#unlockPass").focus();
+  return new Promise((resolve)=>{
+    const submit = async ()=>{
+      setStatus($("#unlockStatus"), "Unlocking…", true);
+      const ring = await unlockHeader(getCryptoHeader(), $("#unlockPass").value);
+      if(!ring){
+        setStatus($("#unlockStatus"), "Wrong passphrase.", false);
+        return;
+      }
+      keyring = ring;
+      $("#unlockPass").value = "";
+      setStatus($("#unlockStatus"), "");
+      closeOverlay("#unlockOverlay");
+      resolve();
+    };
+    $("#btnUnlock").addEventListener("click", submit);
+    $("#unlockPass").addEventListener("keydown", (e)=>{ if(e.key === "Enter") submit(); });
+  });
+}
+
+/* ---------------- Schema versions ----------------
+  Habits + entries carry a data schema version (see migrations.js); the
+  data in this browser is upgraded on start.
+*/
+
+async function ensureDefaults(){
+  const st = await openStorage();
+  const raw = await unseal(await st.getHabits(), "habits", "The habit list");
+  const stored = await st.getMeta("schema");
+  const schema = stored ?? (raw ? 1 : DATA_SCHEMA);
+  assertKnownSchema(schema, "The data in this browser");
+
+  if(schemaOf(schema) < DATA_SCHEMA){
+    const up = migrateData({ schema, habits: Array.isArray(raw) ? raw : [], entries: await getEntries() }, "The data in this browser");
+    await replaceEntries(up.entries);
+    await st.putHabits(await seal(normalizeHabits(up.habits), "habits"));
   }
-  const entries = loadJSON(LS_KEYS.entries, null);
-  if(!entries || typeof entries !== "object"){
-    saveJSON(LS_KEYS.entries, {});
+  if(stored !== DATA_SCHEMA) await st.putMeta("schema", DATA_SCHEMA);
+
+  const current = await unseal(await st.getHabits(), "habits", "The habit list");
+  const clean = normalizeHabits(current);
+  habitsCache = clean.length ? clean : normalizeHabits(DEFAULT_HABITS);
+  if(JSON.stringify(habitsCache) !== JSON.stringify(current)){
+    await st.putHabits(await seal(habitsCache, "habits")); // self-heal
   }
 }
 
@@ -109,11 +569,9 @@ async function sha256Hex(str){
   return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2,"0")).join("");
 }
 
+// The logical date now (see dates.js): home time zone and day start from Preferences.
 function todayISO(){
-  const d = new Date();
-  const tzOff = d.getTimezoneOffset() * 60 * 1000;
-  const local = new Date(d.getTime() - tzOff);
-  return local.toISOString().slice(0,10);
+  return logicalDate(Date.now(), getPrefs());
 }
 
 function openOverlay(id){ $(id).classList.remove("hidden"); }
@@ -133,7 +591,7 @@ function isSessionValid(){
   if(!session?.loggedInUntil) return false;
   return Date.now() < session.loggedInUntil;
 }
-function setSession(hours=12){
+function setSession(hours = getPrefs().sessionHours){
   const loggedInUntil = Date.now() + hours * 3600 * 1000;
   saveJSON(LS_KEYS.session, { loggedInUntil });
 }
@@ -141,28 +599,102 @@ function clearSession(){
   localStorage.removeItem(LS_KEYS.session);
 }
 
+/* ---------------- Privacy gate ----------------
+  Credentials are one salted PBKDF2-SHA256 hash of username + password, with
+  the iteration count stored next to it so it can be raised later; older
+  hashes (and v1's unsalted SHA-256 pair) are re-hashed on the next
+  successful login. After LOGIN_FREE_TRIES failures in a row each further
+  one locks the form for twice as long as the last, up to LOGIN_MAX_LOCK.
+*/
+
+const LOGIN_ITERATIONS = 310000;
+const LOGIN_FREE_TRIES = 3;
+const LOGIN_BASE_LOCK = 30 * 1000;
+const LOGIN_MAX_LOCK = 60 * 60 * 1000;
+
+async function credsHash(user, pass, salt, iterations){
+  const base = await crypto.subtle.importKey("raw", utf8(`${user.trim()}\u0000${pass}`), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations }, base, 256);
+  return toBase64(bits);
+}
+
+async function storeCreds(user, pass){
+  const salt = toBase64(randomBytes(16));
+  saveJSON(LS_KEYS.creds, { v: 2, salt, iterations: LOGIN_ITERATIONS, hash: await credsHash(user, pass, salt, LOGIN_ITERATIONS) });
+}
+
+async function checkCreds(creds, user, pass){
+  if(creds.v === 2) return await credsHash(user, pass, creds.salt, creds.iterations) === creds.hash;
+  const [uHash, pHash] = await Promise.all([sha256Hex(user.trim()), sha256Hex(pass)]);
+  return uHash === creds.userHash && pHash === creds.passHash;
+}
+
+function getLoginGuard(){
+  const g = loadJSON(LS_KEYS.loginGuard, {});
+  return { failures: 0, lockedUntil: 0, ...((g && typeof g === "object") ? g : {}) };
+}
+
+function loginLockMsg(until){
+  const secs = Math.ceil((until - Date.now()) / 1000);
+  return `Too many failed attempts. Try again in ${secs < 90 ? `${secs} s` : `${Math.ceil(secs / 60)} min`}.`;
+}
+
 async function doLogin(user, pass){
   const creds = loadJSON(LS_KEYS.creds, null);
-  if(!creds?.userHash || !creds?.passHash) return { ok:false, msg:"No credentials set. Click “First-time setup”." };
+  if(!creds?.hash && !(creds?.userHash && creds?.passHash)) return { ok:false, msg:"No credentials set. Click “First-time setup”." };
 
-  const [uHash, pHash] = await Promise.all([sha256Hex(user.trim()), sha256Hex(pass)]);
-  if(uHash === creds.userHash && pHash === creds.passHash){
-    setSession(12);
+  const guard = getLoginGuard();
+  if(Date.now() < guard.lockedUntil) return { ok:false, msg: loginLockMsg(guard.lockedUntil) };
+
+  if(await checkCreds(creds, user, pass)){
+    localStorage.removeItem(LS_KEYS.loginGuard);
+    if(creds.v !== 2 || creds.iterations < LOGIN_ITERATIONS) await storeCreds(user, pass);
+    setSession();
     return { ok:true, msg:"Logged in." };
   }
-  return { ok:false, msg:"Wrong username/password." };
+
+  const failures = guard.failures + 1;
+  const over = failures - LOGIN_FREE_TRIES;
+  const lockedUntil = over > 0 ? Date.now() + Math.min(LOGIN_MAX_LOCK, LOGIN_BASE_LOCK * 2 ** (over - 1)) : 0;
+  saveJSON(LS_KEYS.loginGuard, { failures, lockedUntil });
+  return { ok:false, msg: lockedUntil ? `Wrong username/password. ${loginLockMsg(lockedUntil)}` : "Wrong username/password." };
 }
 
 async function setupCreds(user, pass){
   if(!user.trim() || pass.length < 6){
     return { ok:false, msg:"Username required; password must be 6+ chars." };
   }
-  const [uHash, pHash] = await Promise.all([sha256Hex(user.trim()), sha256Hex(pass)]);
-  saveJSON(LS_KEYS.creds, { userHash: uHash, passHash: pHash });
-  setSession(12);
+  await storeCreds(user, pass);
+  localStorage.removeItem(LS_KEYS.loginGuard);
+  setSession();
   return { ok:true, msg:"Credentials saved." };
 }
 
+function lockApp(){
+  clearSession();
+  hideApp();
+  closeOverlay("#settingsOverlay");
+}
+
+// Idle auto-lock: any input counts as activity. Checked on a timer and when
+// the tab comes back, since timers are throttled in background tabs.
+let lastActivity = Date.now();
+
+function checkIdleLock(){
+  const mins = getPrefs().idleLockMinutes;
+  if(!mins || !isSessionValid()) return;
+  if(Date.now() - lastActivity > mins * 60 * 1000) lockApp();
+}
+
+function startIdleLock(){
+  const touch = ()=>{ lastActivity = Date.now(); };
+  for(const ev of ["pointerdown", "keydown", "wheel", "touchstart"]){
+    window.addEventListener(ev, touch, { passive: true, capture: true });
+  }
+  document.addEventListener("visibilitychange", ()=>{ if(!document.hidden) checkIdleLock(); });
+  setInterval(checkIdleLock, 30 * 1000);
+}
+
 function escapeHtml(s){
   return (s ?? "").toString()
     .replaceAll("&","&amp;")
@@ -181,23 +713,115 @@ function slugId(name){
     .slice(0,32) || ("habit-" + Math.random().toString(16).slice(2,10));
 }
 
+/* ---------------- Schedules ----------------
+  A habit's schedule decides which days are "due":
+    daily     every day
+    weekdays  only on the listed weekdays (0 = Sun … 6 = Sat)
+    perWeek   `times` per week (Mon–Sun), any days
+    perMonth  `times` per calendar month, any days
+    everyN    every `every` days, counted from `start`
+  `start` and `pauseFrom`/`pauseTo` bound when the habit is active at all
+  (empty pauseTo = paused until further notice). Archived habits are
+  inactive from their `archivedAt` date on. Which days are due, and the
+  streaks, are worked out in schedules.js.
+*/
+
+const SCHEDULE_KINDS = ["daily","weekdays","perWeek","perMonth","everyN"];
+const WEEKDAY_NAMES = ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"];
+
+function isHHMM(s){
+  return typeof s === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(s);
+}
+
+function normalizeSchedule(s){
+  const src = (s && typeof s === "object") ? s : {};
+  const kind = SCHEDULE_KINDS.includes(src.kind) ? src.kind : "daily";
+  const weekdays = Array.isArray(src.weekdays)
+    ? [...new Set(src.weekdays.map(Number).filter(n => Number.isInteger(n) && n >= 0 && n <= 6))].sort()
+    : [];
+  const times = Math.max(1, parseInt(src.times, 10) || 1);
+  const every = Math.max(1, parseInt(src.every, 10) || 1);
+  let start = isISODate(src.start) ? src.start : "";
+  if(kind === "everyN" && !start) start = todayISO(); // everyN needs an anchor
+  return {
+    kind,
+    weekdays: kind === "weekdays" && weekdays.length === 0 ? [1,2,3,4,5] : weekdays,
+    times,
+    every,
+    start,
+    pauseFrom: isISODate(src.pauseFrom) ? src.pauseFrom : "",
+    pauseTo: isISODate(src.pauseTo) ? src.pauseTo : ""
+  };
+}
+
+function describeSchedule(s){
+  let txt;
+  switch(s.kind){
+    case "weekdays": txt = s.weekdays.map(d => WEEKDAY_NAMES[d]).join(", "); break;
+    case "perWeek": txt = `${s.times}× per week`; break;
+    case "perMonth": txt = `${s.times}× per month`; break;
+    case "everyN": txt = s.every === 1 ? "Daily" : `Every ${s.every} days`; break;
+    default: txt = "Daily";
+  }
+  if(s.start) txt += ` · from ${s.start}`;
+  if(s.pauseFrom) txt += s.pauseTo ? ` · paused ${s.pauseFrom} → ${s.pauseTo}` : ` · paused since ${s.pauseFrom}`;
+  return txt;
+}
+
+/* ---------------- Streaks ---------------- */
+
+function formatStreak(n, unit){
+  return `${n} ${unit}${n === 1 ? "" : "s"}`;
+}
+
+// Streaks need the whole history, so the result is kept until the next
+// day write (or habit/preference change) instead of re-read every render.
+let streakMemo = null;
+
+async function loadStreaks(habits){
+  const key = `${storageRev}|${todayISO()}|${getPrefs().streakGrace}|${JSON.stringify(habits)}`;
+  if(streakMemo?.key !== key){
+    streakMemo = { key, streaks: computeStreaks(habits, await getEntries(), { today: todayISO(), grace: getPrefs().streakGrace }) };
+  }
+  return streakMemo.streaks;
+}
+
 /* ---------------- UI rendering ---------------- */
 
-function renderHabitsTable(date){
-  const habits = getHabits();
-  const entries = getEntries();
+// Archived habits still show for dates before they were archived,
+// so past days stay editable and past reports stay complete.
+function habitVisibleOn(h, iso){
+  return !h.archivedAt || iso < h.archivedAt;
+}
+
+async function renderHabitsTable(date){
+  const habits = getHabits().filter(h => habitVisibleOn(h, date));
+  const entries = await getEntries(scheduleWindow({ start: date, end: date }));
   const day = entries[date] || {};
+  const streaks = await loadStreaks(habits);
 
   const tbody = $("#habitsTable tbody");
   tbody.innerHTML = "";
 
   for(const h of habits){
-    const st = day[h.id] || { done:false, text:"" };
+    const st = day[h.id] || { done:false, value:null };
     const tr = document.createElement("tr");
 
     const tdName = document.createElement("td");
     tdName.textContent = h.name;
 
+    const due = isDueOn(h, date, entries);
+    if(!due) tr.classList.add("rest");
+    const note = document.createElement("div");
+    note.className = "muted small";
+    if(isQuotaSchedule(h.schedule) && habitActiveOn(h, date)){
+      const unit = h.schedule.kind === "perMonth" ? "month" : "week";
+      note.textContent = `${periodDoneCount(h, date, entries, date)}/${h.schedule.times} this ${unit}` + (due ? "" : " · quota met");
+    }else if(!due){
+      note.textContent = habitActiveOn(h, date) ? "Rest day" : "Not active";
+    }
+    if(note.textContent) tdName.appendChild(note);
+
     const tdDone = document.createElement("td");
     tdDone.className = "center";
     const cb = document.createElement("input");
@@ -210,190 +834,1212 @@ function renderHabitsTable(date){
     tdDone.appendChild(cb);
 
     const tdText = document.createElement("td");
-    if(h.hasText){
-      const inp = document.createElement("input");
-      inp.type = "text";
-      inp.placeholder = h.textLabel ? h.textLabel : "details";
-      inp.value = st.text || "";
-      inp.dataset.habitId = h.id;
-      inp.className = "textBox";
-      inp.id = `text-${h.id}`;
-      inp.name = `text-${h.id}`;
+    const inp = detailInput(h, cellValue(h, st), st.text);
+    if(inp){
       tdText.appendChild(inp);
     }else{
       tdText.innerHTML = '<span class="muted small">—</span>';
     }
 
+    const tdStreak = document.createElement("td");
+    tdStreak.className = "center small";
+    const sk = streaks.get(h.id);
+    tdStreak.textContent = sk.current ? `🔥 ${formatStreak(sk.current, sk.unit)}` : "—";
+    tdStreak.title = `Longest: ${formatStreak(sk.longest, sk.unit)}`;
+
     tr.appendChild(tdName);
     tr.appendChild(tdDone);
     tr.appendChild(tdText);
+    tr.appendChild(tdStreak);
     tbody.appendChild(tr);
   }
 }
 
+// Input element for a habit's detail field (null for "none").
+function detailInput(h, value, legacyText){
+  const d = h.detail;
+  if(d.type === "none") return null;
+
+  let inp;
+  if(d.type === "rating" || d.type === "choice"){
+    inp = document.createElement("select");
+    const opts = d.type === "rating" ? ["1","2","3","4","5"] : d.choices;
+    inp.appendChild(new Option("—", ""));
+    for(const o of opts) inp.appendChild(new Option(o, o));
+    inp.value = value === null ? "" : String(value);
+  }else{
+    inp = document.createElement("input");
+    inp.type = "text";
+    if(d.type === "count"){
+      inp.type = "number";
+      inp.min = "0";
+      inp.step = "1";
+    }
+    if(d.type === "number") inp.inputMode = "decimal";
+    inp.placeholder = d.type === "duration" ? "hh:mm" : (detailLabel(d) || "details");
+    inp.value = value === null ? (legacyText || "") : formatDetail(d, value, false);
+  }
+  inp.dataset.habitId = h.id;
+  inp.className = "detailInput";
+  inp.id = `text-${h.id}`;
+  inp.name = `text-${h.id}`;
+  inp.setAttribute("aria-label", `${h.name} ${detailLabel(d)}`);
+
+  if(d.unit){
+    const wrap = document.createElement("span");
+    wrap.className = "with-unit";
+    const unit = document.createElement("span");
+    unit.className = "muted small";
+    unit.textContent = d.unit;
+    wrap.appendChild(inp);
+    wrap.appendChild(unit);
+    return wrap;
+  }
+  return inp;
+}
+
+let editingHabitId = null;
+
+function moveHabit(id, delta){
+  const habits = getHabits();
+  const i = habits.findIndex(h => h.id === id);
+  const j = i + delta;
+  if(i < 0 || j < 0 || j >= habits.length) return false;
+  const [h] = habits.splice(i, 1);
+  habits.splice(j, 0, h);
+  commitHabits(habits).catch(habitSaveFailed);
+  return true;
+}
+
+function moveHabitBefore(id, beforeId){
+  const habits = getHabits();
+  const h = habits.find(x => x.id === id);
+  if(!h || id === beforeId) return;
+  const rest = habits.filter(x => x.id !== id);
+  const at = rest.findIndex(x => x.id === beforeId);
+  rest.splice(at < 0 ? rest.length : at, 0, h);
+  commitHabits(rest).catch(habitSaveFailed);
+}
+
+function habitSaveFailed(e){
+  setStatus($("#habitStatus"), `Couldn't save habits: ${e.message}`, false);
+}
+
 function renderHabitsAdmin(){
   const habits = getHabits();
   const tbody = $("#habitsAdminTable tbody");
   tbody.innerHTML = "";
 
   for(const h of habits){
+    if(h.id === editingHabitId){
+      tbody.appendChild(habitEditorRow(h));
+      continue;
+    }
+
     const tr = document.createElement("tr");
+    tr.dataset.id = h.id;
+    tr.draggable = true;
+    tr.tabIndex = 0;
+    tr.title = "Drag, or focus and press Alt+↑/↓ to reorder";
+    if(h.archivedAt) tr.classList.add("archived");
     tr.innerHTML = `
-      <td>${escapeHtml(h.name)}</td>
-      <td>${h.hasText ? escapeHtml(h.textLabel || "Yes") : "No"}</td>
-      <td class="center"><button class="btn btnDanger" data-del="${escapeHtml(h.id)}">Delete</button></td>
+      <td><span class="drag-handle" aria-hidden="true">⋮⋮</span> ${escapeHtml(h.name)}${h.archivedAt ? ` <span class="muted small">(archived ${escapeHtml(h.archivedAt)})</span>` : ""}</td>
+      <td>${h.detail.type === "none" ? "No" : escapeHtml(describeDetail(h.detail))}</td>
+      <td>${escapeHtml(SUMMARY_NAMES[h.summary])}</td>
+      <td class="small">${escapeHtml(describeSchedule(h.schedule))}${h.reminder ? ` · 🔔 ${escapeHtml(h.reminder)}` : ""}${h.goal ? ` · 🎯 ${escapeHtml(describeGoal(h, h.goal))}` : ""}</td>
+      <td class="center nowrap">
+        <button class="btn" data-move="-1" aria-label="Move ${escapeHtml(h.name)} up">↑</button>
+        <button class="btn" data-move="1" aria-label="Move ${escapeHtml(h.name)} down">↓</button>
+        <button class="btn" data-edit>Edit</button>
+        <button class="btn" data-archive>${h.archivedAt ? "Unarchive" : "Archive"}</button>
+        <button class="btn btnDanger" data-del>Delete</button>
+      </td>
     `;
     tbody.appendChild(tr);
   }
 
-  tbody.querySelectorAll("button[data-del]").forEach(btn=>{
-    btn.addEventListener("click", ()=>{
-      const id = btn.dataset.del;
-      if(!confirm("Delete habit? (This won’t delete historical entries; they’ll just be hidden.)")) return;
-      const next = habits.filter(x => x.id !== id);
-      setHabits(next);
-      try{ initFirebaseIfConfigured().then(()=> cloudIsConfigured() ? cloudSaveHabits() : null).catch(()=>{}); }catch(_e){}
+  tbody.querySelectorAll("tr[data-id]").forEach(tr=>{
+    const id = tr.dataset.id;
+
+    tr.querySelectorAll("button[data-move]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        if(moveHabit(id, Number(btn.dataset.move))){
+          renderAll();
+          $(`#habitsAdminTable tr[data-id="${CSS.escape(id)}"] button[data-move="${btn.dataset.move}"]`)?.focus();
+        }
+      });
+    });
+
+    tr.addEventListener("keydown", (e)=>{
+      if(e.target !== tr || !e.altKey || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+      e.preventDefault();
+      if(moveHabit(id, e.key === "ArrowUp" ? -1 : 1)){
+        renderAll();
+        $(`#habitsAdminTable tr[data-id="${CSS.escape(id)}"]`)?.focus();
+      }
+    });
+
+    tr.addEventListener("dragstart", (e)=>{
+      e.dataTransfer.setData("text/plain", id);
+      e.dataTransfer.effectAllowed = "move";
+      tr.classList.add("dragging");
+    });
+    tr.addEventListener("dragend", ()=> tr.classList.remove("dragging"));
+    tr.addEventListener("dragover", (e)=>{
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+    });
+    tr.addEventListener("drop", (e)=>{
+      e.preventDefault();
+      const dragged = e.dataTransfer.getData("text/plain");
+      if(!dragged || dragged === id) return;
+      // dropping on the lower half of a row puts the habit after it
+      const box = tr.getBoundingClientRect();
+      const after = e.clientY > box.top + box.height / 2;
+      const next = after ? tr.nextElementSibling?.dataset.id : id;
+      moveHabitBefore(dragged, next || null);
+      renderAll();
+    });
+
+    tr.querySelector("button[data-edit]").addEventListener("click", ()=>{
+      editingHabitId = id;
+      renderHabitsAdmin();
+      $("#habitsAdminTable .editRow input")?.focus();
+    });
+
+    tr.querySelector("button[data-archive]").addEventListener("click", ()=>{
+      const next = getHabits().map(x => x.id !== id ? x : { ...x, archivedAt: x.archivedAt ? "" : todayISO() });
+      const archived = next.find(x => x.id === id).archivedAt;
+      commitHabits(next)
+        .then(()=> setStatus($("#habitStatus"), archived ? "Habit archived. Its history stays in reports for earlier dates." : "Habit restored.", true), habitSaveFailed);
+      renderAll();
+    });
+
+    tr.querySelector("button[data-del]").addEventListener("click", ()=>{
+      if(!confirm("Delete habit? (This won’t delete historical entries; they’ll just be hidden.) Archive keeps it in past reports instead.")) return;
+      commitHabits(getHabits().filter(x => x.id !== id))
+        .then(()=> setStatus($("#habitStatus"), "Habit deleted (entries kept).", true), habitSaveFailed);
       renderAll();
-      setStatus($("#habitStatus"), "Habit deleted (entries kept).", true);
     });
   });
 
+  renderTrendSelect(habits);
+}
+
+function renderTrendSelect(habits){
   const sel = $("#habitTrendSelect");
+  const prev = sel.value;
   sel.innerHTML = "";
   for(const h of habits){
     const opt = document.createElement("option");
     opt.value = h.id;
-    opt.textContent = h.name;
+    opt.textContent = h.archivedAt ? `${h.name} (archived)` : h.name;
     sel.appendChild(opt);
   }
+  if(habits.some(h => h.id === prev)) sel.value = prev;
 }
 
-function saveDay(date){
-  const habits = getHabits();
-  const entries = getEntries();
-  const day = entries[date] || {};
+function habitEditorRow(h){
+  const tr = document.createElement("tr");
+  tr.className = "editRow";
+  const td = document.createElement("td");
+  td.colSpan = 5;
+  const form = createHabitForm(td, `edit-${h.id}-`, h);
+
+  const actions = document.createElement("div");
+  actions.className = "row";
+  actions.innerHTML = `
+    <button class="btn btn-primary" data-save>Save changes</button>
+    <button class="btn" data-cancel>Cancel</button>
+  `;
+  td.appendChild(actions);
+  tr.appendChild(td);
+
+  actions.querySelector("button[data-cancel]").addEventListener("click", ()=>{
+    editingHabitId = null;
+    renderHabitsAdmin();
+  });
+  actions.querySelector("button[data-save]").addEventListener("click", async ()=>{
+    const res = await updateHabit(h.id, form.read());
+    setStatus($("#habitStatus"), res.msg, res.ok);
+    if(!res.ok) return;
+    editingHabitId = null;
+    renderAll();
+  });
+  return tr;
+}
 
-  for(const box of $$("#habitsTable .doneBox")){
-    const id = box.dataset.habitId;
-    day[id] = day[id] || { done:false, text:"" };
-    day[id].done = !!box.checked;
+function validateHabitFields(v){
+  if(!v.name) return "Habit name required.";
+  if(v.detail.type === "choice" && v.detail.choices.length < 2) return "Choice fields need at least two comma-separated options.";
+  if(v.goal && !(v.goal.target > 0)){
+    return v.goal.metric === "count" ? "Goal target must be a whole number of days above 0." : "Goal target must be a value above 0 in the habit's details format.";
   }
-  for(const inp of $$("#habitsTable .textBox")){
-    const id = inp.dataset.habitId;
-    day[id] = day[id] || { done:false, text:"" };
-    day[id].text = inp.value.trim();
+  return "";
+}
+
+// Edit a habit in place. The id never changes, so history stays attached;
+// when the details type changes, stored values are re-parsed as the new type.
+async function updateHabit(id, fields){
+  const err = validateHabitFields(fields);
+  if(err) return { ok:false, msg: err };
+
+  const habits = getHabits();
+  const old = habits.find(h => h.id === id);
+  if(!old) return { ok:false, msg:"Habit not found." };
+  const next = normalizeHabits([{ ...old, ...fields, ...goalChange(old, fields, todayISO()) }])[0];
+
+  if(JSON.stringify(old.detail) !== JSON.stringify(next.detail)){
+    const entries = await getEntries();
+    const { changed, lost } = convertHabitValues(entries, old, next);
+    if(lost && !confirm(`${lost} logged value(s) don’t fit the new details type. They’ll be kept as plain text and won’t count in charts. Continue?`)){
+      return { ok:false, msg:"Edit cancelled." };
+    }
+    if(changed.length){
+      await putEntries(Object.fromEntries(changed.map(d => [d, entries[d]])));
+      changed.forEach(addPending);
+      flushPending().catch(()=>{});
+    }
   }
 
-  for(const h of habits){
-    day[h.id] = day[h.id] || { done:false, text:"" };
+  try{
+    await commitHabits(getHabits().map(h => h.id === id ? next : h));
+  }catch(e){
+    return { ok:false, msg:`Couldn't save the habit: ${e.message}` };
   }
+  return { ok:true, msg:"Habit updated." };
+}
 
-  entries[date] = day;
-  setEntries(entries);
+// Re-parse a habit's stored values for a new detail definition (in place).
+function convertHabitValues(entries, oldHabit, newHabit){
+  const changed = [];
+  let lost = 0;
+  for(const [date, day] of Object.entries(entries)){
+    const cell = day?.[oldHabit.id];
+    if(!cell) continue;
+    const raw = cell.text ?? formatDetail(oldHabit.detail, cellValue(oldHabit, cell), false);
+    if(!raw) continue;
+    const p = parseDetail(newHabit.detail, raw);
+    const next = { ...cell, value: p.ok ? p.value : null };
+    delete next.text;
+    if(!p.ok){
+      next.text = raw;
+      lost += 1;
+    }
+    if(!sameCellContent(next, cell)){
+      day[oldHabit.id] = stampCell(next, cell);
+      changed.push(date);
+    }
+  }
+  return { changed, lost };
 }
 
-/* ---------------- Reports ---------------- */
+// Persist the habit list, then push it to the cloud in the background.
+// Changed or moved habits get a new updatedAt; removed ones a tombstone.
+// Returns the local write, which rejects if saving failed.
+function commitHabits(habits, undoOf){
+  const prev = getHabits();
+  const prevIndex = new Map(prev.map((h, i) => [h.id, i]));
+  const prevById = new Map(prev.map(h => [h.id, h]));
+  const now = Date.now();
+  const strip = ({ updatedAt: _u, ...rest }) => JSON.stringify(rest);
+
+  const next = normalizeHabits(habits).map((h, i) => {
+    const old = prevById.get(h.id);
+    const same = old && prevIndex.get(h.id) === i && strip(old) === strip(h);
+    return same ? h : { ...h, updatedAt: now };
+  });
 
-let completionChart = null;
-let trendChart = null;
+  const tomb = getTombstones();
+  for(const h of prev){
+    if(!next.some(x => x.id === h.id)) tomb[h.id] = now;
+  }
+  for(const h of next) delete tomb[h.id];
+  setTombstones(tomb);
+
+  const nextById = new Map(next.map(h => [h.id, h]));
+  const log = [...new Set([...prevById.keys(), ...nextById.keys()])]
+    .map(id => ({ kind: "habit", habitId: id, before: prevById.get(id) || null, after: nextById.get(id) || null }))
+    .filter(c => !c.before || !c.after || strip(c.before) !== strip(c.after));
+  logChanges(log, undoOf).catch((e)=> console.warn("logging habit changes failed", e));
+
+  const written = setHabits(next);
+  written.then(()=> cloudInit()).then(ok => ok ? cloudSaveHabits() : null).catch(()=>{});
+  return written;
+}
 
-function toISO(d){
-  const tzOff = d.getTimezoneOffset() * 60000;
-  const local = new Date(d.getTime() - tzOff);
-  return local.toISOString().slice(0,10);
+function syncProviderBoxes(){
+  const provider = $("#syncProvider").value;
+  $("#fbBox").classList.toggle("hidden", provider !== "firebase");
+  $("#restBox").classList.toggle("hidden", provider !== "rest");
 }
 
-function dateRangeFromSelection(sel){
-  const now = new Date();
-  const tzOff = now.getTimezoneOffset() * 60000;
-  const local = new Date(now.getTime() - tzOff);
+/* ---------------- Habit form (add + inline edit) ---------------- */
 
-  if(sel === "month"){
-    const start = new Date(local.getFullYear(), local.getMonth(), 1);
-    const end = new Date(local.getFullYear(), local.getMonth()+1, 1);
-    return { start: toISO(start), end: toISO(new Date(end.getTime()-86400000)) };
+const SCHEDULE_NAMES = {
+  daily: "Every day", weekdays: "Specific weekdays", perWeek: "N times per week",
+  perMonth: "N times per month", everyN: "Every N days"
+};
+
+function habitFormHTML(prefix){
+  const opts = (names) => Object.entries(names).map(([v, t]) => `<option value="${v}">${escapeHtml(t)}</option>`).join("");
+  const summaryNames = { ...SUMMARY_NAMES };
+  delete summaryNames.none;
+  return `
+    <div class="grid2">
+      <label>
+        Habit name
+        <input name="${prefix}name" data-f="name" type="text" placeholder="e.g., Meditation" />
+      </label>
+      <label>
+        Details field
+        <select name="${prefix}type" data-f="type">${opts(DETAIL_TYPE_NAMES)}</select>
+      </label>
+      <label data-w="label">
+        Details label (optional)
+        <input name="${prefix}label" data-f="label" type="text" placeholder="e.g., Distance / Book name / Mood" />
+      </label>
+      <label data-w="unit">
+        Unit
+        <input name="${prefix}unit" data-f="unit" type="text" placeholder="e.g., km / pages / kg" />
+      </label>
+      <label data-w="choices">
+        Choices (comma-separated)
+        <input name="${prefix}choices" data-f="choices" type="text" placeholder="e.g., Easy, Tempo, Long run" />
+      </label>
+      <label>
+        Quick report tile
+        <select name="${prefix}summary" data-f="summary">
+          <option value="">Automatic (by details type)</option>
+          ${opts(summaryNames)}
+          <option value="none">No tile</option>
+        </select>
+      </label>
+      <label>
+        Schedule
+        <select name="${prefix}kind" data-f="kind">${opts(SCHEDULE_NAMES)}</select>
+      </label>
+      <label data-w="n">
+        <span data-f="nLabel">Times per period</span>
+        <input name="${prefix}n" data-f="n" type="number" min="1" step="1" value="1" />
+      </label>
+      <label>
+        Reminder (optional)
+        <input name="${prefix}reminder" data-f="reminder" type="time" />
+      </label>
+      <label>
+        Goal (optional)
+        <select name="${prefix}goalMetric" data-f="goalMetric">
+          <option value="">No goal</option>
+          <option value="count">Days done</option>
+          <option value="sum">Total of the details value</option>
+        </select>
+      </label>
+      <label data-w="goalTarget">
+        Target
+        <input name="${prefix}goalTarget" data-f="goalTarget" type="text" placeholder="e.g., 12 / 40 km / 10:00" />
+      </label>
+      <label data-w="goalPeriod">
+        Per
+        <select name="${prefix}goalPeriod" data-f="goalPeriod">${opts(GOAL_PERIODS)}</select>
+      </label>
+      <label data-w="goalDays">
+        Period length (days)
+        <input name="${prefix}goalDays" data-f="goalDays" type="number" min="1" step="1" value="7" />
+      </label>
+      <label data-w="goalStart">
+        First period starts on
+        <input name="${prefix}goalStart" data-f="goalStart" type="date" />
+      </label>
+    </div>
+    <div class="row weekdays" data-w="weekdays">
+      ${[1,2,3,4,5,6,0].map(d => `<label class="inline"><input type="checkbox" name="${prefix}wd${d}" data-f="weekday" value="${d}" /> ${WEEKDAY_NAMES[d]}</label>`).join("")}
+    </div>
+    <div class="grid2">
+      <label>
+        Starts on (optional)
+        <input name="${prefix}start" data-f="start" type="date" />
+      </label>
+      <div class="grid2">
+        <label>
+          Paused from
+          <input name="${prefix}pauseFrom" data-f="pauseFrom" type="date" />
+        </label>
+        <label>
+          Paused until
+          <input name="${prefix}pauseTo" data-f="pauseTo" type="date" />
+        </label>
+      </div>
+    </div>
+  `;
+}
+
+// Render the habit fields into `el`; returns { read, reset }.
+function createHabitForm(el, prefix, habit){
+  el.innerHTML = habitFormHTML(prefix);
+  const f = (k) => el.querySelector(`[data-f="${k}"]`);
+  const w = (k) => el.querySelector(`[data-w="${k}"]`);
+
+  function sync(){
+    const type = f("type").value;
+    w("label").classList.toggle("hidden", type === "none");
+    w("unit").classList.toggle("hidden", type !== "number" && type !== "count");
+    w("choices").classList.toggle("hidden", type !== "choice");
+    const detail = normalizeDetail({ type });
+    for(const opt of f("summary").options){
+      opt.disabled = !!opt.value && !summaryAllowed(opt.value, detail);
+    }
+    if(f("summary").selectedOptions[0]?.disabled) f("summary").value = "";
+
+    const kind = f("kind").value;
+    w("weekdays").classList.toggle("hidden", kind !== "weekdays");
+    w("n").classList.toggle("hidden", !["perWeek","perMonth","everyN"].includes(kind));
+    f("nLabel").textContent = kind === "everyN" ? "Every N days" : "Times per period";
+
+    f("goalMetric").querySelector('[value="sum"]').disabled = !goalSumAllowed(detail);
+    if(f("goalMetric").selectedOptions[0]?.disabled) f("goalMetric").value = "";
+    const metric = f("goalMetric").value;
+    w("goalTarget").classList.toggle("hidden", !metric);
+    w("goalPeriod").classList.toggle("hidden", !metric);
+    w("goalDays").classList.toggle("hidden", !metric || f("goalPeriod").value !== "days");
+    w("goalStart").classList.toggle("hidden", !metric || f("goalPeriod").value !== "days");
   }
-  if(sel === "year"){
-    const start = new Date(local.getFullYear(), 0, 1);
-    const end = new Date(local.getFullYear()+1, 0, 1);
-    return { start: toISO(start), end: toISO(new Date(end.getTime()-86400000)) };
+
+  function fill(h){
+    const d = h ? h.detail : normalizeDetail(null);
+    const s = h ? h.schedule : normalizeSchedule(null);
+    f("name").value = h ? h.name : "";
+    f("type").value = d.type;
+    f("label").value = d.label;
+    f("unit").value = d.unit;
+    f("choices").value = d.choices.join(", ");
+    // a default metric shows as "Automatic" so it follows details-type changes
+    f("summary").value = h && h.summary !== defaultSummary(h.detail) ? h.summary : "";
+    f("kind").value = s.kind;
+    f("n").value = String(s.kind === "everyN" ? s.every : s.times);
+    el.querySelectorAll('[data-f="weekday"]').forEach(cb => { cb.checked = s.weekdays.includes(Number(cb.value)); });
+    f("start").value = s.start;
+    f("pauseFrom").value = s.pauseFrom;
+    f("pauseTo").value = s.pauseTo;
+    f("reminder").value = h ? h.reminder : "";
+    const g = h?.goal;
+    f("goalMetric").value = g ? g.metric : "";
+    f("goalTarget").value = g ? (g.metric === "sum" ? formatDetail(h.detail, g.target, false) : String(g.target)) : "";
+    f("goalPeriod").value = g ? g.period : "month";
+    f("goalDays").value = String(g ? g.days : 7);
+    f("goalStart").value = g ? g.start : "";
+    sync();
   }
-  const days = parseInt(sel,10);
-  const end = local;
-  const start = new Date(local.getTime() - (days-1)*86400000);
-  return { start: toISO(start), end: toISO(end) };
-}
 
-function eachDate(startISO, endISO){
-  const out = [];
-  const start = new Date(startISO + "T00:00:00");
-  const end = new Date(endISO + "T00:00:00");
-  for(let d = new Date(start); d <= end; d = new Date(d.getTime()+86400000)){
-    out.push(toISO(d));
+  function read(){
+    const n = parseInt(f("n").value, 10) || 1;
+    const detail = normalizeDetail({
+      type: f("type").value,
+      label: f("label").value,
+      unit: f("unit").value,
+      choices: f("choices").value.split(",")
+    });
+    return {
+      name: f("name").value.trim(),
+      detail,
+      summary: f("summary").value,
+      schedule: normalizeSchedule({
+        kind: f("kind").value,
+        weekdays: [...el.querySelectorAll('[data-f="weekday"]:checked')].map(cb => Number(cb.value)),
+        times: n,
+        every: n,
+        start: f("start").value,
+        pauseFrom: f("pauseFrom").value,
+        pauseTo: f("pauseTo").value
+      }),
+      reminder: f("reminder").value,
+      goal: f("goalMetric").value ? {
+        metric: f("goalMetric").value,
+        target: parseGoalTarget(detail, f("goalMetric").value, f("goalTarget").value),
+        period: f("goalPeriod").value,
+        days: f("goalDays").value,
+        start: f("goalStart").value
+      } : null
+    };
   }
-  return out;
+
+  f("type").addEventListener("change", sync);
+  f("kind").addEventListener("change", sync);
+  f("goalMetric").addEventListener("change", sync);
+  f("goalPeriod").addEventListener("change", sync);
+  fill(habit || null);
+  return { read, reset: ()=> fill(null) };
 }
 
-function buildReport(range){
+async function saveDay(date){
   const habits = getHabits();
-  const entries = getEntries();
-  const dates = eachDate(range.start, range.end);
-
-  const perHabit = new Map(habits.map(h => [h.id, { habit: h, done:0, total:0, texts:[], numSum:0 }]));
+  const habitMap = new Map(habits.map(h => [h.id, h]));
 
-  for(const date of dates){
-    const day = entries[date];
-    for(const h of habits){
-      const agg = perHabit.get(h.id);
-      agg.total += 1;
+  // validate every detail field before touching storage
+  const values = new Map();
+  const errors = [];
+  for(const inp of $$("#habitsTable .detailInput")){
+    const h = habitMap.get(inp.dataset.habitId);
+    if(!h) continue;
+    const res = parseDetail(h.detail, inp.value);
+    inp.classList.toggle("invalid", !res.ok);
+    if(res.ok){
+      values.set(h.id, res.value);
+    }else{
+      errors.push(`${h.name}: ${res.error}`);
+    }
+  }
+  if(errors.length) return { ok:false, msg: errors.join(" ") };
 
-      const st = day?.[h.id];
-      const done = !!st?.done;
-      if(done) agg.done += 1;
+  const changes = {};
+  for(const box of $$("#habitsTable .doneBox")){
+    changes[box.dataset.habitId] = { done: !!box.checked };
+  }
+  for(const [id, value] of values){
+    changes[id] = { ...changes[id], value };
+  }
+  await writeDayCells(date, changes);
+  return { ok:true, msg:"Saved." };
+}
 
-      const txt = (st?.text || "").trim();
-      if(h.hasText && txt){
-        agg.texts.push({date, text: txt});
-        const v = parseFloat(txt);
-        if(Number.isFinite(v)) agg.numSum += v;
-      }
+// The one write path for edits to days: merges `changes`
+// ({ [date]: { [habitId]: { done?, value? } } }) into the stored cells,
+// stamps what actually changed and writes all dates at once. Follow it
+// with syncSavedDays().
+async function writeCells(changes, undoOf){
+  const dates = Object.keys(changes);
+  const entries = await getEntriesFor(dates);
+  const days = {};
+  const log = [];
+  for(const date of dates){
+    const day = entries[date] || {};
+    for(const [id, patch] of Object.entries(changes[date])){
+      const cell = { ...(day[id] || { done:false, value:null }), ...patch };
+      if("value" in patch && !("text" in patch)) delete cell.text;
+      // untouched blank cells aren't worth a revision (or a sync conflict)
+      if(!day[id] && !cell.done && cell.value === null) continue;
+      if(!sameCellContent(day[id], cell)) log.push({ kind: "cell", date, habitId: id, before: day[id] ? cellContent(day[id]) : null, after: cellContent(cell) });
+      day[id] = stampCell(cell, day[id]);
     }
+    days[date] = day;
   }
+  await putEntries(days);
+  await logChanges(log, undoOf);
+}
 
-  return { habits, dates, perHabit };
+function writeDayCells(date, changes){
+  return writeCells({ [date]: changes });
 }
 
-function stat(k, v){
-  const div = document.createElement("div");
-  div.className = "stat";
-  div.innerHTML = `<div class="k">${escapeHtml(k)}</div><div class="v">${escapeHtml(v)}</div>`;
-  return div;
+// Queue saved days for upload and try to push them right away, as one
+// batch. Returns { ok, msg } for the save status line.
+async function syncSavedDays(dates){
+  dates.forEach(addPending); // stay queued if we're offline
+  try{
+    if(!await cloudInit()) return { ok:true, msg:"Saved locally ✅ (Cloud not configured)" };
+    const conflicts = await countSyncRun("save", async ()=>{
+      const c = await cloudPushDays(dates);
+      await cloudSaveHabits();
+      return c;
+    });
+    return conflicts.length
+      ? { ok:false, msg:`Saved locally — another device changed ${dates.length === 1 ? "this day" : "some of these days"}, please resolve` }
+      : { ok:true, msg:"Saved + synced ✅" };
+  }catch(e){
+    console.warn("cloud sync failed", e);
+    return { ok:true, msg:"Saved locally ✅ (will sync later)" };
+  }
 }
 
-function renderQuickStats(report, range){
-  const habits = report.habits;
-  const per = report.perHabit;
+function syncSavedDay(date){
+  return syncSavedDays([date]);
+}
 
-  let doneAll = 0, totalAll = 0;
-  for(const h of habits){
-    const a = per.get(h.id);
+/* ---------------- Change history ----------------
+  An append-only log of edits: one record per changed cell (writeCells) or
+  habit (commitHabits), grouped by the save they came from:
+    { id, save, at, device, kind: "cell"|"habit", date, undoOf?, data }
+  `data` is { habitId, before, after } (cell content or the whole habit,
+  null when missing), sealed when encryption is on: habit ids are slugs of
+  habit names, so they stay out of the clear. The newest CHANGE_LOG_MAX records
+  are kept. Undo reverts this device's latest save that isn't undone yet;
+  restoring a day puts each of its cells back to how it was right after a
+  given save. Both are saves themselves, so they sync and get logged.
+  Either only touches cells (and habits) still holding the value the log
+  expects; anything changed since, e.g. on another device, is skipped.
+  With "Sync change history" on, records travel with each sync run, so
+  every device sees the full history.
+*/
+
+const CHANGE_LOG_MAX = 5000;
+
+let changeSeq = 0;
+
+// `list` = [{ kind, date?, habitId, before, after }], all from one save.
+async function logChanges(list, undoOf){
+  if(!list.length) return;
+  const at = Date.now();
+  const save = `${getDeviceId()}-${at.toString(36)}-${(changeSeq++).toString(36)}`;
+  const records = await Promise.all(list.map(async (c, i) => {
+    const id = `${save}-${i}`;
+    const data = await seal({ habitId: c.habitId, before: c.before ?? null, after: c.after ?? null }, `change:${id}`);
+    return { id, save, at, device: getDeviceId(), kind: c.kind, date: c.date || "", ...(undoOf ? { undoOf } : {}), data };
+  }));
+  await storage.putChanges(records);
+  await storage.trimChanges(CHANGE_LOG_MAX);
+}
+
+// Opened records, oldest first; for one date, or all of them. Records this
+// device can't decrypt are left out.
+async function getChanges(date){
+  const list = await storage.getChanges(date);
+  const opened = await Promise.all(list.map(async ({ data, ...r }) => {
+    try{
+      return { ...r, ...(await unseal(data, `change:${r.id}`, "A history entry")) };
+    }catch(e){
+      console.warn(e.message);
+      return null;
+    }
+  }));
+  return opened.filter(Boolean).sort((a,b)=> a.at - b.at || a.id.localeCompare(b.id));
+}
+
+// Re-seal the whole log (after the encryption settings changed).
+async function replaceChanges(list){
+  const records = await Promise.all(list.map(async ({ habitId, before, after, ...r }) =>
+    ({ ...r, data: await seal({ habitId, before, after }, `change:${r.id}`) })));
+  await storage.putChanges(records, true);
+}
+
+function sameHabitContent(a, b){
+  const strip = (h) => { if(!h) return null; const { updatedAt: _u, ...rest } = h; return JSON.stringify(rest); };
+  return strip(a) === strip(b);
+}
+
+function skippedNote(n){
+  return n ? ` Skipped ${n} change(s) made since then.` : "";
+}
+
+function restoreCellPatch(content){
+  return content ? { done: !!content.done, value: content.value ?? null, ...(content.text ? { text: content.text } : {}) } : { done:false, value:null };
+}
+
+// This device's latest save that isn't undone, and isn't an undo itself;
+// so repeated undos keep walking back.
+async function lastUndoableSave(){
+  const all = await getChanges();
+  const undone = new Set(all.map(r => r.undoOf).filter(Boolean));
+  const mine = all.filter(r => r.device === getDeviceId() && !r.undoOf && !undone.has(r.save));
+  const last = mine[mine.length - 1];
+  return last ? mine.filter(r => r.save === last.save) : null;
+}
+
+async function undoLastSave(){
+  const group = await lastUndoableSave();
+  if(!group) return { ok:false, msg:"Nothing to undo." };
+  const save = group[0].save;
+
+  let skipped = 0;
+  const current = new Map(getHabits().map(h => [h.id, h]));
+  const habitRecs = group.filter(r => r.kind === "habit" && (sameHabitContent(current.get(r.habitId), r.after) || !++skipped));
+  if(habitRecs.length){
+    let habits = getHabits();
+    for(const r of habitRecs){
+      if(!r.before) habits = habits.filter(h => h.id !== r.habitId);
+      else if(habits.some(h => h.id === r.habitId)) habits = habits.map(h => h.id === r.habitId ? r.before : h);
+      else habits = [...habits, r.before];
+    }
+    await commitHabits(habits, save);
+  }
+
+  const cellRecs = group.filter(r => r.kind === "cell");
+  const entries = await getEntriesFor([...new Set(cellRecs.map(r => r.date))]);
+  const cells = {};
+  for(const r of cellRecs){
+    if(!sameCellContent(entries[r.date]?.[r.habitId], r.after)){
+      skipped++;
+      continue;
+    }
+    (cells[r.date] ||= {})[r.habitId] = restoreCellPatch(r.before);
+  }
+  const dates = Object.keys(cells);
+  const names = habitRecs.map(r => (r.before || r.after).name);
+  const what = [
+    dates.length === 1 ? dates[0] : dates.length ? `${dates.length} days` : "",
+    names.length ? `the change to ${names.join(", ")}` : ""
+  ].filter(Boolean).join(" and ");
+  if(!what) return { ok:false, msg:`Nothing undone: everything in the last save was changed again since.` };
+  if(!dates.length) return { ok:true, msg:`Undid ${what}.${skippedNote(skipped)}` };
+
+  await writeCells(cells, save);
+  const synced = await syncSavedDays(dates);
+  return { ok: synced.ok, msg:`Undid ${what}.${skippedNote(skipped)} ${synced.msg}` };
+}
+
+// Put each cell of `date` back to how it was right after save `save`
+// (null: before the first recorded change).
+async function restoreDayVersion(date, save){
+  const list = (await getChanges(date)).filter(r => r.kind === "cell");
+  const later = list.slice(save ? list.findLastIndex(r => r.save === save) + 1 : 0);
+  const day = (await getEntriesFor([date]))[date] || {};
+  const latest = new Map(list.map(r => [r.habitId, r.after])); // what the log says each cell holds now
+  const patch = {};
+  let skipped = 0;
+  for(const r of later){
+    if(r.habitId in patch) continue;
+    if(!sameCellContent(day[r.habitId], latest.get(r.habitId))){
+      patch[r.habitId] = null;
+      skipped++;
+      continue;
+    }
+    patch[r.habitId] = restoreCellPatch(r.before);
+  }
+  for(const id of Object.keys(patch)) if(patch[id] === null) delete patch[id];
+  if(!Object.keys(patch).length){
+    return skipped
+      ? { ok:false, msg:`Nothing restored: ${skipped} cell(s) were changed since the last recorded save.` }
+      : { ok:true, msg:"That's already the current version." };
+  }
+  await writeCells({ [date]: patch });
+  const synced = await syncSavedDays([date]);
+  return { ok: synced.ok, msg:`Restored ${date}.${skippedNote(skipped)} ${synced.msg}` };
+}
+
+async function renderDayHistory(date){
+  const habitMap = new Map(getHabits().map(h => [h.id, h]));
+  const list = (await getChanges(date)).filter(r => r.kind === "cell");
+  const saves = [];
+  for(const r of list){
+    if(saves[saves.length - 1]?.save !== r.save) saves.push({ save: r.save, at: r.at, device: r.device, undo: !!r.undoOf, records: [] });
+    saves[saves.length - 1].records.push(r);
+  }
+
+  $("#historyDate").textContent = date;
+  const box = $("#historyList");
+  if(!saves.length){
+    box.innerHTML = '<p class="muted small">No recorded changes for this day.</p>';
+    return;
+  }
+  const who = (device) => device === getDeviceId() ? "this device" : `device ${device.slice(0, 12)}`;
+  box.innerHTML = [...saves].reverse().map((g, i) => `
+    <div class="history-item">
+      <div class="row space-between">
+        <strong>${escapeHtml(new Date(g.at).toLocaleString())}</strong>
+        <span class="muted small">${escapeHtml(who(g.device))}${g.undo ? " · undo" : ""}</span>
+      </div>
+      ${g.records.map(r => {
+        const h = habitMap.get(r.habitId);
+        return `<div class="small">${escapeHtml(h?.name || r.habitId)}: <span class="muted">${escapeHtml(describeCellContent(h, r.before))}</span> → ${escapeHtml(describeCellContent(h, r.after))}</div>`;
+      }).join("")}
+      ${i === 0 ? '<div class="muted small">Current version</div>' : `<div><button class="btn" data-restore="${escapeHtml(g.save)}">Restore this version</button></div>`}
+    </div>
+  `).join("") + `
+    <div class="history-item">
+      <strong>Before the first recorded change</strong>
+      <div><button class="btn" data-restore="">Restore this version</button></div>
+    </div>
+  `;
+}
+
+async function openDayHistory(date){
+  setStatus($("#historyStatus"), "");
+  await renderDayHistory(date);
+  openOverlay("#historyOverlay");
+}
+
+// With "Sync change history" on: push this device's records added since
+// the last push, then pull the other devices' records since the watermark.
+async function syncChangeLog(p, full){
+  if(!getPrefs().syncHistory || !p.putChanges) return;
+  const ls = getLastSync();
+  const pushedAt = full ? 0 : ls.historyPushedAt || 0;
+  const mine = (await storage.getChanges()).filter(r => r.device === getDeviceId() && r.at > pushedAt);
+  if(mine.length) await p.putChanges(mine);
+
+  const pulled = await p.pullChanges(full ? 0 : ls.historyWatermark || 0);
+  const theirs = pulled.changes.filter(r =>
+    r && typeof r.id === "string" && typeof r.save === "string" && Number.isFinite(r.at) &&
+    r.device !== getDeviceId() && (r.kind === "cell" ? isISODate(r.date) : r.kind === "habit"));
+  if(theirs.length){
+    await storage.putChanges(theirs);
+    await storage.trimChanges(CHANGE_LOG_MAX);
+  }
+  setLastSync({ historyPushedAt: Math.max(pushedAt, ...mine.map(r => r.at)), historyWatermark: pulled.watermark });
+}
+
+/* ---------------- Multi-day grid ----------------
+  A week (or month) of cells, habits as rows and days as columns, for
+  catching up. Edits stay in the form (touched cells are highlighted)
+  until Save, which writes all touched dates with writeCells() and syncs
+  them as one batch. Arrow keys move between cells; bulk actions tick the
+  selected day columns, skipping rest days (unless asked) and the future.
+*/
+
+const gridView = { start: "" };
+
+function gridRange(){
+  const kind = $("#gridView").value;
+  const start = periodStart(kind, gridView.start, getPrefs().weekStart);
+  return { start, end: periodEnd(kind, start), label: kind === "week" ? `${start} → ${periodEnd(kind, start)}` : periodLabel(kind, start) };
+}
+
+function gridDirty(){
+  return $$("#gridTable td.touched").length > 0;
+}
+
+async function renderGrid(){
+  const range = gridRange();
+  gridView.start = range.start;
+  const today = todayISO();
+  const dates = eachDate(range.start, range.end);
+  const habits = getHabits().filter(h => dates.some(d => habitVisibleOn(h, d)));
+  const entries = await getEntries(scheduleWindow(range));
+
+  $("#gridLabel").textContent = range.label;
+  $("#gridTable thead").innerHTML = `<tr><th>Habit</th>${dates.map(d => `
+    <th class="center nowrap${d > today ? " grid-future" : ""}">
+      <label class="inline"><input type="checkbox" data-grid-day="${d}" aria-label="Select ${d}" /> ${WEEKDAY_NAMES[weekdayOf(d)]} ${Number(d.slice(8))}</label>
+    </th>`).join("")}</tr>`;
+
+  const tbody = $("#gridTable tbody");
+  tbody.innerHTML = "";
+  for(const h of habits){
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = h.name;
+    tr.appendChild(th);
+    for(const date of dates){
+      const td = document.createElement("td");
+      td.className = "center grid-cell";
+      if(!habitVisibleOn(h, date)){
+        td.innerHTML = '<span class="muted small">—</span>';
+        tr.appendChild(td);
+        continue;
+      }
+      const st = entries[date]?.[h.id] || { done:false, value:null };
+      td.dataset.date = date;
+      td.dataset.habitId = h.id;
+      if(!isDueOn(h, date, entries)) td.classList.add("rest");
+      if(date > today) td.classList.add("grid-future");
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.className = "gridDone";
+      cb.name = `grid-${h.id}-${date}`;
+      cb.checked = !!st.done;
+      cb.setAttribute("aria-label", `${h.name} done on ${date}`);
+      td.appendChild(cb);
+
+      const inp = detailInput(h, cellValue(h, st), st.text);
+      if(inp){
+        const field = inp.querySelector?.(".detailInput") || inp;
+        field.id = `grid-text-${h.id}-${date}`;
+        field.name = field.id;
+        field.setAttribute("aria-label", `${h.name} ${detailLabel(h.detail)} on ${date}`);
+        td.appendChild(inp);
+      }
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+async function openGrid(date){
+  gridView.start = date;
+  setStatus($("#gridStatus"), "");
+  await renderGrid();
+  openOverlay("#gridOverlay");
+  $("#gridTable .gridDone")?.focus();
+}
+
+async function stepGrid(dir){
+  if(gridDirty() && !confirm("Discard the changes you haven't saved?")) return;
+  const { start, end } = gridRange();
+  gridView.start = dir < 0 ? addDays(start, -1) : addDays(end, 1);
+  await renderGrid();
+}
+
+// Arrow keys: up/down to the same field in the next row, left/right along
+// the row (text fields first move their caret to the edge).
+function gridKeydown(e){
+  const el = e.target;
+  const td = el.closest("td.grid-cell");
+  if(!td || !["ArrowUp","ArrowDown","ArrowLeft","ArrowRight"].includes(e.key)) return;
+  const tr = td.parentElement;
+  let target = null;
+
+  if(e.key === "ArrowUp" || e.key === "ArrowDown"){
+    const rows = [...tr.parentElement.rows];
+    const cell = rows[rows.indexOf(tr) + (e.key === "ArrowUp" ? -1 : 1)]?.cells[td.cellIndex];
+    target = cell && (cell.querySelector(el.classList.contains("gridDone") ? ".gridDone" : ".detailInput") || cell.querySelector(".gridDone"));
+  }else{
+    const typing = el.tagName === "INPUT" && el.type !== "checkbox" && el.selectionStart !== null;
+    if(typing && (e.key === "ArrowLeft" ? el.selectionStart > 0 : el.selectionEnd < el.value.length)) return;
+    const items = [...tr.querySelectorAll(".gridDone, .detailInput")];
+    target = items[items.indexOf(el) + (e.key === "ArrowLeft" ? -1 : 1)];
+  }
+  if(target){
+    e.preventDefault();
+    target.focus();
+  }
+}
+
+function selectGridDays(pick){
+  for(const cb of $$("#gridTable [data-grid-day]")) cb.checked = pick(cb.dataset.gridDay);
+}
+
+function bulkGrid(done){
+  const days = new Set($$("#gridTable [data-grid-day]:checked").map(cb => cb.dataset.gridDay));
+  if(!days.size){
+    setStatus($("#gridStatus"), "Select one or more days first.", false);
+    return;
+  }
+  const dueOnly = $("#gridDueOnly").checked;
+  let n = 0;
+  for(const td of $$("#gridTable td.grid-cell[data-date]")){
+    if(!days.has(td.dataset.date) || td.classList.contains("grid-future")) continue;
+    if(dueOnly && td.classList.contains("rest")) continue;
+    const cb = td.querySelector(".gridDone");
+    if(cb.checked === done) continue;
+    cb.checked = done;
+    td.classList.add("touched");
+    n += 1;
+  }
+  setStatus($("#gridStatus"), n ? `${n} cell(s) changed — save to keep them.` : "Nothing to change.", true);
+}
+
+async function saveGrid(){
+  const habitMap = new Map(getHabits().map(h => [h.id, h]));
+  const changes = {};
+  const errors = [];
+  for(const td of $$("#gridTable td.touched")){
+    const { date, habitId } = td.dataset;
+    const h = habitMap.get(habitId);
+    if(!h) continue;
+    const change = { done: td.querySelector(".gridDone").checked };
+    const inp = td.querySelector(".detailInput");
+    if(inp){
+      const res = parseDetail(h.detail, inp.value);
+      inp.classList.toggle("invalid", !res.ok);
+      if(!res.ok){
+        errors.push(`${h.name} (${date}): ${res.error}`);
+        continue;
+      }
+      change.value = res.value;
+    }
+    (changes[date] ||= {})[habitId] = change;
+  }
+  if(errors.length){
+    setStatus($("#gridStatus"), errors.join(" "), false);
+    return;
+  }
+  const dates = Object.keys(changes).sort();
+  if(!dates.length){
+    setStatus($("#gridStatus"), "Nothing changed.", true);
+    return;
+  }
+
+  try{
+    await writeCells(changes);
+  }catch(e){
+    setStatus($("#gridStatus"), `Couldn't save: ${e.message}`, false);
+    return;
+  }
+  setStatus($("#gridStatus"), `Saved ${dates.length} day(s) locally. Syncing…`, true);
+  await renderGrid();
+  await renderAll();
+  try{
+    const synced = await syncSavedDays(dates);
+    setStatus($("#gridStatus"), synced.msg, synced.ok);
+  }catch(e){
+    setStatus($("#gridStatus"), `Saved locally, but syncing failed: ${e.message}`, false);
+  }
+}
+
+/* ---------------- Reports ---------------- */
+
+let completionChart = null;
+let trendChart = null;
+
+// Presets of #rangeSelect. "all" starts at opts.firstDate (the earliest
+// stored day); "custom" is resolved by reportRange().
+function dateRangeFromSelection(sel, opts = {}){
+  const today = opts.today || todayISO();
+  const weekStart = opts.weekStart ?? getPrefs().weekStart;
+
+  switch(sel){
+    case "lastWeek": {
+      const start = addDays(periodStart("week", today, weekStart), -7);
+      return { start, end: addDays(start, 6) };
+    }
+    case "month": {
+      const start = periodStart("month", today);
+      return { start, end: periodEnd("month", start) };
+    }
+    case "lastMonth": {
+      const start = addMonths(periodStart("month", today), -1);
+      return { start, end: periodEnd("month", start) };
+    }
+    case "year": {
+      const start = periodStart("year", today);
+      return { start, end: periodEnd("year", start) };
+    }
+    case "ytd":
+      return { start: periodStart("year", today), end: today };
+    case "lastYear": {
+      const start = addMonths(periodStart("year", today), -12);
+      return { start, end: periodEnd("year", start) };
+    }
+    case "all":
+      return { start: opts.firstDate && opts.firstDate < today ? opts.firstDate : today, end: today };
+  }
+  const days = parseInt(sel,10) || 30;
+  return { start: addDays(today, -(days-1)), end: today };
+}
+
+// The range the quick report, rollups and log show.
+async function reportRange(){
+  const sel = $("#rangeSelect").value;
+  if(sel === "custom"){
+    const a = $("#rangeStart").value, b = $("#rangeEnd").value;
+    if(!isISODate(a) || !isISODate(b)) return dateRangeFromSelection("30");
+    const range = clampRange(a <= b ? { start: a, end: b } : { start: b, end: a }, await firstEntryDate());
+    showCustomRange(range);
+    return range;
+  }
+  return dateRangeFromSelection(sel, { firstDate: sel === "all" ? await firstEntryDate() : null });
+}
+
+// Custom ranges (typed, stepped or from a shared link) stay between the
+// first stored day and today, so a typo can't ask for millennia.
+function clampRange({ start, end }, firstDate){
+  const last = todayISO();
+  if(end > last) end = last;
+  const first = [firstDate || todayISO(), end].sort()[0];
+  if(start < first) start = first;
+  return start <= end ? { start, end } : { start: end, end };
+}
+
+// Previous / next range of the same size: whole calendar months (and
+// years) step by their month count, year-to-date by a year, anything
+// else by its length in days.
+function shiftRange(range, dir){
+  const { start, end } = range;
+  if(start.endsWith("-01") && end === periodEnd("month", periodStart("month", end))){
+    const months = (Number(end.slice(0,4)) - Number(start.slice(0,4))) * 12 + Number(end.slice(5,7)) - Number(start.slice(5,7)) + 1;
+    const first = addMonths(start, dir * months);
+    return { start: first, end: addDays(addMonths(first, months), -1) };
+  }
+  if(start.endsWith("-01-01") && start.slice(0,4) === end.slice(0,4)){
+    return { start: addMonths(start, dir * 12), end: addMonths(end, dir * 12) };
+  }
+  const len = daysBetween(start, end) + 1;
+  return { start: addDays(start, dir * len), end: addDays(end, dir * len) };
+}
+
+function showCustomRange(range){
+  $("#rangeSelect").value = "custom";
+  $("#rangeStart").value = range.start;
+  $("#rangeEnd").value = range.end;
+  $("#rangeCustom").classList.remove("hidden");
+}
+
+async function stepRange(dir){
+  showCustomRange(shiftRange(await reportRange(), dir));
+  renderAll();
+}
+
+// `entries` must cover scheduleWindow(range).
+function buildReport(range, entries){
+  const habits = getHabits().filter(h => habitVisibleOn(h, range.start));
+  const dates = eachDate(range.start, range.end);
+
+  const perHabit = new Map(habits.map(h => [h.id, { habit: h, done:0, total:0, doneDays:0, values:[], numSum:0 }]));
+
+  for(const h of habits){
+    const agg = perHabit.get(h.id);
+    const { due, done } = scheduleTally(h, dates, entries);
+    agg.total = due;
+    agg.done = done;
+  }
+
+  for(const date of dates){
+    const day = entries[date];
+    for(const h of habits){
+      const agg = perHabit.get(h.id);
+      const st = day?.[h.id];
+      if(st?.done) agg.doneDays += 1; // due or not, unlike `done`
+
+      const value = cellValue(h, st);
+      if(value !== null && value !== ""){
+        agg.values.push({date, value});
+        const v = numericValue(h.detail, value);
+        if(v !== null) agg.numSum += v;
+      }
+    }
+  }
+
+  return { habits, dates, perHabit };
+}
+
+function stat(k, v, title){
+  const div = document.createElement("div");
+  div.className = "stat";
+  div.innerHTML = `<div class="k">${escapeHtml(k)}</div><div class="v">${escapeHtml(v)}</div>`;
+  if(title) div.title = title;
+  return div;
+}
+
+// Tiles of the quick report: [{ k, v, title? }].
+function quickStats(report, range){
+  const habits = report.habits;
+  const per = report.perHabit;
+
+  let doneAll = 0, totalAll = 0;
+  for(const h of habits){
+    const a = per.get(h.id);
     doneAll += a.done;
     totalAll += a.total;
   }
   const overall = totalAll ? (doneAll/totalAll) : 0;
 
-  const running = [...per.values()].find(x => x.habit.id === "running");
-  const kms = running ? running.numSum : 0;
-
-  const paper = [...per.values()].find(x => x.habit.id === "paper");
-  const papers = paper ? paper.texts.length : 0;
+  const out = [
+    { k: "Range", v: `${range.start} → ${range.end}` },
+    { k: "Overall completion", v: `${Math.round(overall*100)}%` }
+  ];
+  for(const h of habits){
+    const sum = summarizeValues(h, per.get(h.id).values);
+    if(sum) out.push({ k: sum.label, v: sum.text, title: sum.title });
+  }
+  return out;
+}
 
+function renderQuickStats(report, range){
   const box = $("#quickStats");
   box.innerHTML = "";
-  box.appendChild(stat("Range", `${range.start} → ${range.end}`));
-  box.appendChild(stat("Overall completion", `${Math.round(overall*100)}%`));
-  box.appendChild(stat("Running (sum)", `${kms.toFixed(1)} kms`));
-  box.appendChild(stat("Papers logged", `${papers}`));
+  box.dataset.range = `${range.start}..${range.end}`;
+  for(const { k, v, title } of quickStats(report, range)) box.appendChild(stat(k, v, title));
+}
+
+async function renderStreakTable(){
+  const habits = getHabits().filter(h => !h.archivedAt);
+  const streaks = await loadStreaks(habits);
+  const tbody = $("#streakTable tbody");
+  tbody.innerHTML = "";
+
+  for(const h of habits){
+    const sk = streaks.get(h.id);
+    const since = sk.daysSince === null ? "—" : (sk.daysSince === 0 ? "today" : `${sk.daysSince}d ago`);
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(h.name)}</td>
+      <td class="center">${escapeHtml(formatStreak(sk.current, sk.unit))}</td>
+      <td class="center">${escapeHtml(formatStreak(sk.longest, sk.unit))}</td>
+      <td>${escapeHtml(sk.lastDone || "—")}</td>
+      <td class="center">${escapeHtml(since)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
 }
 
 function renderCompletionChart(report){
@@ -406,125 +2052,960 @@ function renderCompletionChart(report){
     return a.total ? Math.round((a.done/a.total)*100) : 0;
   });
 
+  if(!window.Chart) return; // Chart.js didn't load (offline before it was cached)
   const ctx = $("#chartCompletion");
   if(completionChart) completionChart.destroy();
   completionChart = new Chart(ctx, {
     type: "bar",
-    data: { labels, datasets: [{ label: "Completion %", data }] },
+    data: { labels, datasets: [{ label: "Completion % (due days)", data }] },
     options: {
       responsive: true,
-      plugins: { legend: { display: false } },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            afterLabel: (item)=>{
+              const a = per.get(habits[item.dataIndex].id);
+              return `${a.done} of ${a.total} due`;
+            }
+          }
+        }
+      },
       scales: { y: { beginAtZero: true, max: 100 } }
     }
   });
 }
 
-function renderTrend(range, habitId){
+function renderTrend(range, habitId, entries){
   const habits = getHabits();
-  const entries = getEntries();
   const habit = habits.find(h => h.id === habitId) || habits[0];
 
   const labels = eachDate(range.start, range.end);
   const series = labels.map(date => {
     const st = entries[date]?.[habit.id];
-    if(!st) return null;
-    if(habit.hasText){
-      const v = parseFloat((st.text || "").trim());
-      if(Number.isFinite(v)) return v;
-    }
-    return st.done ? 1 : 0;
+    const v = numericValue(habit.detail, cellValue(habit, st));
+    if(v !== null) return v;
+    if(st?.done) return 1;
+    // rest days are gaps, not zeros
+    return isDueOn(habit, date, entries) && st ? 0 : null;
   });
 
   const ctx = $("#chartTrend");
   if(trendChart) trendChart.destroy();
-  trendChart = new Chart(ctx, {
-    type: "line",
-    data: { labels, datasets: [{ label: habit.name, data: series, spanGaps: true }] },
-    options: {
-      responsive: true,
-      plugins: { legend: { display: false } },
-      scales: { y: { beginAtZero: true } }
-    }
-  });
+  if(window.Chart){
+    trendChart = new Chart(ctx, {
+      type: "line",
+      data: { labels, datasets: [{ label: habit.name, data: series, spanGaps: true }] },
+      options: {
+        responsive: true,
+        plugins: { legend: { display: false } },
+        scales: { y: { beginAtZero: true } }
+      }
+    });
+  }
 
   const hint = $("#trendHint");
-  if(habit.id === "running"){
-    hint.textContent = "Running: enter kms in details (e.g., 5.2). Chart shows kms/day.";
-  }else if(habit.hasText){
-    hint.textContent = "Chart shows 1/0 (done/not done). Your details are stored in log entries in the Sheet.";
+  if(numericValue(habit.detail, 0) !== null){
+    const what = detailLabel(habit.detail) || DETAIL_TYPE_NAMES[habit.detail.type];
+    const unit = habit.detail.type === "duration" ? " (minutes)" : "";
+    hint.textContent = `Chart shows ${what}${unit} per day; days without a value show 1/0 (done/not done).`;
+  }else if(habit.detail.type !== "none"){
+    hint.textContent = "Chart shows 1/0 (done/not done). Details are listed in the log below.";
   }else{
-    hint.textContent = "Chart shows 1/0 (done/not done) for the selected range.";
+    hint.textContent = "Chart shows 1/0 (done/not done) on due days; rest days are left blank.";
   }
 }
 
-function renderLogTable(range){
-  const tbody = $("#logTable tbody");
-  tbody.innerHTML = "";
+/* ---------------- Log table ----------------
+  Every logged cell in the report range, plus due days left undone, kept
+  in memory and filtered, searched and sorted there; only one page of
+  rows goes into the DOM. A row edits in place and saves through
+  writeDayCells() + syncSavedDay(), like the Today card.
+*/
 
-  const entries = getEntries();
-  const habits = getHabits();
-  const habitMap = new Map(habits.map(h => [h.id, h]));
-  const dates = eachDate(range.start, range.end);
+const LOG_PAGE_SIZE = 50;
+const LOG_SORTS = {
+  date: (a, b) => a.date.localeCompare(b.date),
+  habit: (a, b) => a.habit.name.localeCompare(b.habit.name),
+  done: (a, b) => Number(a.done) - Number(b.done),
+  details: (a, b) => a.text.localeCompare(b.text)
+};
 
+const logView = { all: [], page: 0, sort: "date", dir: -1, editing: null };
+
+function logRows(range, entries){
+  const habits = getHabits();
+  const today = todayISO();
   const rows = [];
-  for(const date of dates){
-    const day = entries[date];
-    if(!day) continue;
-    for(const [hid, st] of Object.entries(day)){
-      const h = habitMap.get(hid);
-      if(!h) continue;
+  for(const date of eachDate(range.start, range.end)){
+    const day = entries[date] || {};
+    for(const h of habits){
+      if(!habitVisibleOn(h, date)) continue;
+      const st = day[h.id];
       const done = !!st?.done;
-      const text = (st?.text || "").trim();
-      if(!done && !text) continue;
-      rows.push({date, habit: h.name, done, text});
+      const text = formatDetail(h.detail, cellValue(h, st)) || (st?.text || "").trim();
+      // future days aren't missed yet
+      if(!done && !text && (date > today || !isDueOn(h, date, entries))) continue;
+      rows.push({ key: `${date}|${h.id}`, date, habit: h, done, text, value: cellValue(h, st), legacyText: st?.text });
     }
   }
+  return rows;
+}
 
-  rows.sort((a,b)=> a.date === b.date ? a.habit.localeCompare(b.habit) : b.date.localeCompare(a.date));
+function filterLogRows(rows){
+  const habitId = $("#logHabit").value;
+  const state = $("#logState").value;
+  const details = $("#logDetails").value;
+  const terms = $("#logSearch").value.toLowerCase().split(/\s+/).filter(Boolean);
+  return rows.filter(r => {
+    if(habitId && r.habit.id !== habitId) return false;
+    if(state === "logged" && !r.done && !r.text) return false;
+    if(state === "done" && !r.done) return false;
+    if(state === "missed" && r.done) return false;
+    if(details === "with" && !r.text) return false;
+    if(details === "without" && r.text) return false;
+    const hay = r.text.toLowerCase();
+    return terms.every(t => hay.includes(t));
+  });
+}
 
-  for(const r of rows){
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td>${escapeHtml(r.date)}</td>
-      <td>${escapeHtml(r.habit)}</td>
-      <td class="center">${r.done ? "✅" : "—"}</td>
-      <td>${escapeHtml(r.text || "")}</td>
-    `;
-    tbody.appendChild(tr);
+// Chosen column first, then newest date and habit name as tie-breaks.
+function sortLogRows(rows){
+  const by = LOG_SORTS[logView.sort];
+  return [...rows].sort((a, b) =>
+    by(a, b) * logView.dir || b.date.localeCompare(a.date) || a.habit.name.localeCompare(b.habit.name));
+}
+
+function renderLogTable(range, entries){
+  logView.all = logRows(range, entries);
+  if(logView.editing && !logView.all.some(r => r.key === logView.editing)) logView.editing = null;
+
+  const sel = $("#logHabit");
+  const prev = sel.value;
+  sel.innerHTML = '<option value="">All habits</option>';
+  for(const h of getHabits()) sel.appendChild(new Option(h.name, h.id));
+  sel.value = getHabits().some(h => h.id === prev) ? prev : "";
+
+  renderLogPage();
+}
+
+function renderLogPage(){
+  const rows = sortLogRows(filterLogRows(logView.all));
+  const pages = Math.max(1, Math.ceil(rows.length / LOG_PAGE_SIZE));
+  logView.page = Math.min(logView.page, pages - 1);
+  const first = logView.page * LOG_PAGE_SIZE;
+
+  const tbody = $("#logTable tbody");
+  tbody.innerHTML = "";
+  for(const r of rows.slice(first, first + LOG_PAGE_SIZE)){
+    tbody.appendChild(r.key === logView.editing ? logEditorRow(r) : logRow(r));
+  }
+
+  $("#logCount").textContent = rows.length
+    ? `${first + 1}–${Math.min(first + LOG_PAGE_SIZE, rows.length)} of ${rows.length}`
+    : "No matching rows.";
+  $("#logPage").textContent = `Page ${logView.page + 1} of ${pages}`;
+  $("#btnLogPrev").disabled = logView.page === 0;
+  $("#btnLogNext").disabled = logView.page >= pages - 1;
+  for(const th of $$("#logTable th[data-sort]")){
+    th.setAttribute("aria-sort", th.dataset.sort === logView.sort ? (logView.dir > 0 ? "ascending" : "descending") : "none");
   }
 }
 
-/* ---------------- Cloud Sync: Firebase (Auth + Firestore) ----------------
-  Storage model in Firestore:
-    users/{uid}/app/habits    (doc) { habits: [...], updatedAt }
-    users/{uid}/days/{date}  (doc) { date: "YYYY-MM-DD", day: { [habitId]: {done,text} }, updatedAt }
-  We keep localStorage as the offline-first cache, then upload deltas.
+function logRow(r){
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td class="nowrap">${escapeHtml(r.date)}</td>
+    <td>${escapeHtml(r.habit.name)}</td>
+    <td class="center">${r.done ? "✅" : "—"}</td>
+    <td>${escapeHtml(r.text || "")}</td>
+    <td class="center"><button class="btn" data-log-edit="${escapeHtml(r.key)}" aria-label="Edit ${escapeHtml(r.habit.name)} on ${escapeHtml(r.date)}">Edit</button></td>
+  `;
+  return tr;
+}
+
+function logEditorRow(r){
+  const tr = document.createElement("tr");
+  tr.className = "editRow";
+  tr.innerHTML = `
+    <td class="nowrap">${escapeHtml(r.date)}</td>
+    <td>${escapeHtml(r.habit.name)}</td>
+    <td class="center"><input type="checkbox" class="logDone" name="logDone" aria-label="Done" ${r.done ? "checked" : ""} /></td>
+    <td data-detail></td>
+    <td class="center nowrap">
+      <button class="btn btn-primary" data-log-save>Save</button>
+      <button class="btn" data-log-cancel>Cancel</button>
+    </td>
+  `;
+  const inp = detailInput(r.habit, r.value, r.legacyText);
+  if(inp){
+    const field = inp.querySelector?.(".detailInput") || inp;
+    field.id = "logDetail";
+    field.name = "logDetail";
+    tr.querySelector("[data-detail]").appendChild(inp);
+  }else{
+    tr.querySelector("[data-detail]").innerHTML = '<span class="muted small">—</span>';
+  }
+  return tr;
+}
+
+async function saveLogRow(tr){
+  const r = logView.all.find(x => x.key === logView.editing);
+  if(!r) return;
+  const change = { done: tr.querySelector(".logDone").checked };
+  const inp = tr.querySelector(".detailInput");
+  if(inp){
+    const res = parseDetail(r.habit.detail, inp.value);
+    inp.classList.toggle("invalid", !res.ok);
+    if(!res.ok){
+      setStatus($("#logStatus"), `${r.habit.name}: ${res.error}`, false);
+      return;
+    }
+    change.value = res.value;
+  }
+
+  try{
+    await writeDayCells(r.date, { [r.habit.id]: change });
+  }catch(e){
+    setStatus($("#logStatus"), `Couldn't save: ${e.message}`, false);
+    return;
+  }
+  logView.editing = null;
+  setStatus($("#logStatus"), "Saved locally. Syncing…", true);
+  await renderAll();
+  const synced = await syncSavedDay(r.date);
+  setStatus($("#logStatus"), synced.msg, synced.ok);
+  setTimeout(()=> setStatus($("#logStatus"), ""), 2500);
+}
+
+/* ---------------- Rollups ----------------
+  The quick report's range bucketed into whole weeks, months or years, each
+  compared with the period before it. Weeks start on the day picked in
+  Preferences; Monday-first weeks are ISO weeks and get ISO labels
+  (2025-W07). The current period is cut off at today, so its completion is
+  measured against what has been due so far.
 */
 
-const FB_KEYS = {
-  firebase: "ht.firebase.v1",   // { firebaseConfigText, email, password }
-  pending: "ht.pending.v1"      // [dateISO,...] (dates that failed to upload)
-};
+let rollupChart = null;
+let lastRollup = null; // the one on screen, redrawn when only the chart's metric changes
+
+// `entries` must cover scheduleWindow() of all the periods.
+function buildRollup(kind, range, entries, opts = {}){
+  const weekStart = opts.weekStart ?? getPrefs().weekStart;
+  const periods = rollupPeriods(kind, range, weekStart, opts.today ?? todayISO()).map(p => ({ ...p, report: buildReport(p, entries) }));
+  const habits = getHabits().filter(h => periods.slice(1).some(p => p.report.perHabit.has(h.id)));
+
+  const cellFor = (p, h) => {
+    const a = p?.report.perHabit.get(h.id);
+    if(!a) return null;
+    return {
+      pct: a.total ? a.done / a.total * 100 : null,
+      done: a.done,
+      total: a.total,
+      sum: numericValue(h.detail, 0) !== null ? a.numSum : null
+    };
+  };
 
-function getFirebaseLocal(){
-  return loadJSON(FB_KEYS.firebase, { firebaseConfigText: "", email: "", password: "" });
+  const rows = periods.slice(1).map((p, i) => {
+    const prev = periods[i];
+    const cells = new Map(habits.map(h => {
+      const cur = cellFor(p, h);
+      const before = cellFor(prev, h);
+      if(cur){
+        cur.pctChange = cur.pct !== null && before?.pct != null ? cur.pct - before.pct : null;
+        cur.sumChange = cur.sum !== null && before?.sum != null ? cur.sum - before.sum : null;
+      }
+      return [h.id, cur];
+    }));
+    return { label: p.label, start: p.start, end: p.end, partial: p.partial, cells };
+  });
+
+  return { kind, habits, rows };
 }
-function setFirebaseLocal(next){
-  saveJSON(FB_KEYS.firebase, next || { firebaseConfigText:"", email:"", password:"" });
+
+function formatChange(change, fmt){
+  if(change === null) return "";
+  if(Math.abs(change) < 0.005) return "±0";
+  return `${change > 0 ? "▲" : "▼"} ${fmt(Math.abs(change))}`;
 }
-function getPending(){
-  const p = loadJSON(FB_KEYS.pending, []);
-  return Array.isArray(p) ? p : [];
+
+function renderRollupTable(rollup){
+  const table = $("#rollupTable");
+  const numeric = new Set(rollup.habits.filter(h => numericValue(h.detail, 0) !== null).map(h => h.id));
+
+  table.querySelector("thead").innerHTML = `<tr><th>Period</th>${rollup.habits.map(h => `<th class="center">${escapeHtml(h.name)}</th>`).join("")}</tr>`;
+  const tbody = table.querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for(const r of [...rollup.rows].reverse()){
+    const tr = document.createElement("tr");
+    const tds = rollup.habits.map(h => {
+      const c = r.cells.get(h.id);
+      if(!c) return `<td class="center muted">—</td>`;
+      const pct = c.pct === null ? "—" : `${Math.round(c.pct)}%`;
+      const pctChange = formatChange(c.pctChange, n => `${Math.round(n)} pp`);
+      let html = `<div title="${c.done} of ${c.total} due">${escapeHtml(pct)} <span class="muted small">${escapeHtml(pctChange)}</span></div>`;
+      if(numeric.has(h.id)){
+        const sumChange = formatChange(c.sumChange, n => formatAmount(h.detail, n));
+        html += `<div class="small">${escapeHtml(formatAmount(h.detail, c.sum))} <span class="muted">${escapeHtml(sumChange)}</span></div>`;
+      }
+      return `<td class="center">${html}</td>`;
+    });
+    const title = `${r.start} → ${r.end}${r.partial ? " (so far)" : ""}`;
+    tr.innerHTML = `<td class="nowrap" title="${escapeHtml(title)}">${escapeHtml(r.label)}${r.partial ? ` <span class="muted small">so far</span>` : ""}</td>${tds.join("")}`;
+    tbody.appendChild(tr);
+  }
 }
-function addPending(date){
-  const p = new Set(getPending());
-  p.add(date);
-  saveJSON(FB_KEYS.pending, Array.from(p));
+
+function renderRollupMetricOptions(habits){
+  const sel = $("#rollupMetric");
+  const prev = sel.value;
+  const numeric = habits.filter(h => numericValue(h.detail, 0) !== null);
+  sel.innerHTML = `<option value="completion">Completion %</option>` +
+    numeric.map(h => `<option value="${escapeHtml(h.id)}">${escapeHtml(h.name)} · total</option>`).join("");
+  sel.value = [...sel.options].some(o => o.value === prev) ? prev : "completion";
 }
-function removePending(date){
-  const p = new Set(getPending());
-  p.delete(date);
-  saveJSON(FB_KEYS.pending, Array.from(p));
+
+// Completion groups one bar per habit in each period; a numeric habit's
+// totals get a single series (units differ between habits).
+function renderRollupChart(rollup){
+  const metric = $("#rollupMetric").value;
+  const labels = rollup.rows.map(r => r.label);
+  const datasets = metric === "completion"
+    ? rollup.habits.map(h => ({
+      label: h.name,
+      data: rollup.rows.map(r => {
+        const c = r.cells.get(h.id);
+        return c && c.pct !== null ? Math.round(c.pct) : null;
+      })
+    }))
+    : rollup.habits.filter(h => h.id === metric).map(h => ({
+      label: `${h.name} · total${h.detail.type === "duration" ? " (minutes)" : (h.detail.unit ? ` (${h.detail.unit})` : "")}`,
+      data: rollup.rows.map(r => r.cells.get(h.id)?.sum ?? null)
+    }));
+
+  if(!window.Chart) return;
+  if(rollupChart) rollupChart.destroy();
+  rollupChart = new Chart($("#chartRollup"), {
+    type: "bar",
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: datasets.length > 1 } },
+      scales: { y: metric === "completion" ? { beginAtZero: true, max: 100 } : { beginAtZero: true } }
+    }
+  });
+}
+
+async function renderRollup(range){
+  const kind = $("#rollupPeriod").value;
+  lastRollup = null; // until this range is drawn, a metric change has nothing to redraw
+  const periods = rollupPeriods(kind, range, getPrefs().weekStart, todayISO());
+  if(!periods.length){
+    // the whole range is still ahead: nothing to roll up yet
+    renderRollupTable({ kind, habits: [], rows: [] });
+    if(rollupChart){ rollupChart.destroy(); rollupChart = null; }
+    return;
+  }
+  const entries = await getEntries(scheduleWindow({ start: periods[0].start, end: periods[periods.length-1].end }));
+  const rollup = buildRollup(kind, range, entries);
+  lastRollup = rollup;
+  renderRollupMetricOptions(rollup.habits);
+  renderRollupTable(rollup);
+  renderRollupChart(rollup);
+}
+
+/* ---------------- Goals ----------------
+  Goals and their periods are defined in goals.js. The current period gets
+  progress, a straight-line projection to its end and a status; closed
+  periods are listed as hit or missed.
+*/
+
+function formatGoalAmount(h, g, n){
+  return g.metric === "sum" ? formatAmount(h.detail, n) : `${Math.round(n)}×`;
+}
+
+function describeGoal(h, g){
+  const per = g.period === "days" ? `every ${g.days} days` : `per ${GOAL_PERIODS[g.period]}`;
+  return `${formatGoalAmount(h, g, g.target)} ${per}`;
+}
+
+function goalValue(h, g, range, entries){
+  const a = buildReport(range, entries).perHabit.get(h.id);
+  if(!a) return 0;
+  return g.metric === "sum" ? a.numSum : a.doneDays;
+}
+
+// Progress of the current period: value so far, a projection at the
+// current daily rate and achieved / on track / behind.
+function goalProgress(h, entries, today = todayISO()){
+  const g = h.goal;
+  const p = goalPeriod(g, today, getPrefs().weekStart);
+  const value = goalValue(h, g, { start: p.start, end: today }, entries);
+  const elapsed = daysBetween(p.start, today) + 1;
+  const length = daysBetween(p.start, p.end) + 1;
+  const projected = value / elapsed * length;
+  const status = value >= g.target ? "achieved" : (projected >= g.target ? "on track" : "behind");
+  return { ...p, value, projected, status, daysLeft: length - elapsed, ratio: value / g.target };
+}
+
+function goalHistory(h, entries, today = todayISO()){
+  return goalHistoryPeriods(h, today, getPrefs().weekStart).map(p => {
+    const value = goalValue(h, p.goal, p, entries);
+    return { ...p, value, hit: value >= p.goal.target };
+  });
+}
+
+async function renderGoals(){
+  const today = todayISO();
+  const habits = getHabits().filter(h => h.goal && !h.archivedAt);
+  const box = $("#goalsList");
+  $("#goalsEmpty").classList.toggle("hidden", habits.length > 0);
+  if(!habits.length){
+    box.innerHTML = "";
+    return;
+  }
+
+  const weekStart = getPrefs().weekStart;
+  const starts = habits.flatMap(h => [goalPeriod(h.goal, today, weekStart).start, ...goalHistoryPeriods(h, today, weekStart).map(p => p.start)]);
+  const entries = await getEntries(scheduleWindow({ start: starts.sort()[0], end: today }));
+
+  box.innerHTML = "";
+  for(const h of habits){
+    const g = h.goal;
+    const pr = goalProgress(h, entries, today);
+    const history = goalHistory(h, entries, today);
+    const badge = pr.status === "behind" ? "badge-bad" : "badge-ok";
+    const left = pr.daysLeft === 0 ? "last day" : `${pr.daysLeft} day${pr.daysLeft === 1 ? "" : "s"} left`;
+    const pct = Math.round(pr.ratio * 100);
+
+    const div = document.createElement("div");
+    div.className = "goal";
+    div.innerHTML = `
+      <div class="row space-between">
+        <strong>${escapeHtml(h.name)}</strong>
+        <span class="${badge}">${escapeHtml(pr.status === "achieved" ? "Achieved ✅" : (pr.status === "on track" ? "On track" : "Behind"))}</span>
+      </div>
+      <div class="muted small">${escapeHtml(describeGoal(h, g))} · ${escapeHtml(pr.label)} · ${escapeHtml(left)}</div>
+      <div class="goal-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(100, pct)}"><span style="width:${Math.min(100, pct)}%"></span></div>
+      <div class="small">
+        ${escapeHtml(formatGoalAmount(h, g, pr.value))} of ${escapeHtml(formatGoalAmount(h, g, g.target))} (${pct}%)
+        <span class="muted">· projected ${escapeHtml(formatGoalAmount(h, g, pr.projected))}</span>
+      </div>
+      <div class="goal-history small">
+        ${history.length ? `<span class="muted">Earlier:</span>` : `<span class="muted">No earlier periods yet.</span>`}
+        ${history.map(p => `<span class="goal-chip ${p.hit ? "hit" : "miss"}" title="${escapeHtml(`${p.label}: ${formatGoalAmount(h, p.goal, p.value)} of ${formatGoalAmount(h, p.goal, p.goal.target)}`)}">${p.hit ? "✓" : "✗"} ${escapeHtml(p.label)}</span>`).join("")}
+      </div>
+    `;
+    box.appendChild(div);
+  }
+}
+
+/* ---------------- Year heatmap ----------------
+  One cell per day of a calendar year, weeks as columns (Monday first).
+  "All habits" colours a day by the share of due habits that were done;
+  a single habit (the one picked under Trends) by its numeric value
+  relative to the year's highest, or done / not done for other types.
+  Days where nothing was due stay blank.
+*/
+
+let heatmapYear = Number(todayISO().slice(0,4));
+
+function heatLevel(ratio){
+  if(ratio === null) return "rest";
+  if(ratio <= 0) return 0;
+  return Math.min(4, Math.ceil(ratio * 4));
+}
+
+function heatmapDays(year, habits, entries, habit){
+  const dates = eachDate(`${year}-01-01`, `${year}-12-31`);
+  const visibleOn = (d) => habits.filter(h => habitVisibleOn(h, d));
+  const max = habit
+    ? Math.max(0, ...dates.map(d => numericValue(habit.detail, cellValue(habit, entries[d]?.[habit.id])) ?? 0))
+    : 0;
+
+  return dates.map(date => {
+    const day = entries[date] || {};
+    let ratio = null;
+    if(habit){
+      const st = day[habit.id];
+      const v = numericValue(habit.detail, cellValue(habit, st));
+      if(v !== null && max > 0) ratio = v / max;
+      else if(st?.done) ratio = 1;
+      else if(isDueOn(habit, date, entries)) ratio = 0;
+    }else{
+      const due = visibleOn(date).filter(h => isDueOn(h, date, entries) || day[h.id]?.done);
+      if(due.length) ratio = due.filter(h => day[h.id]?.done).length / due.length;
+    }
+
+    const lines = (habit ? [habit] : visibleOn(date))
+      .filter(h => day[h.id] || isDueOn(h, date, entries))
+      .map(h => {
+        const st = day[h.id];
+        const text = formatDetail(h.detail, cellValue(h, st)) || (st?.text || "").trim();
+        return `${st?.done ? "✅" : "—"} ${h.name}${text ? ` · ${text}` : ""}`;
+      });
+    return { date, ratio, level: heatLevel(ratio), lines };
+  });
+}
+
+async function renderHeatmap(){
+  const year = heatmapYear;
+  const habits = getHabits();
+  const habit = $("#heatmapView").value === "habit"
+    ? (habits.find(h => h.id === $("#habitTrendSelect").value) || habits[0])
+    : null;
+  const entries = await getEntries(scheduleWindow({ start: `${year}-01-01`, end: `${year}-12-31` }));
+  const days = heatmapDays(year, habits, entries, habit);
+  const today = todayISO();
+
+  $("#heatmapYear").textContent = String(year);
+  $("#btnHeatNext").disabled = year >= Number(today.slice(0,4));
+  $("#heatmapHint").textContent = !habit
+    ? "Colour shows the share of due habits done that day."
+    : numericValue(habit.detail, 0) !== null
+      ? `${habit.name}: colour shows ${detailLabel(habit.detail) || DETAIL_TYPE_NAMES[habit.detail.type]} relative to the year's highest.`
+      : `${habit.name}: done / not done on due days.`;
+
+  const grid = $("#heatmap");
+  grid.innerHTML = "";
+  const lead = (weekdayOf(days[0].date) + 6) % 7; // Monday-first row of Jan 1
+  for(let i = 0; i < lead; i++){
+    grid.appendChild(document.createElement("span"));
+  }
+  for(const d of days){
+    const cell = document.createElement("button");
+    cell.type = "button";
+    cell.className = `hm-cell hm-${d.level}` + (d.date > today ? " hm-future" : "") + (d.date === $("#datePicker").value ? " hm-selected" : "");
+    cell.dataset.date = d.date;
+    cell.dataset.tip = [d.date + (d.ratio === null ? " · nothing due" : ""), ...d.lines].join("\n");
+    cell.setAttribute("aria-label", cell.dataset.tip.replace(/\n/g, "; "));
+    grid.appendChild(cell);
+  }
+
+  const months = $("#heatmapMonths");
+  months.innerHTML = "";
+  for(let m = 0; m < 12; m++){
+    const first = `${year}-${String(m + 1).padStart(2, "0")}-01`;
+    const col = Math.floor((lead + daysBetween(`${year}-01-01`, first)) / 7) + 1;
+    const span = document.createElement("span");
+    span.style.gridColumnStart = String(col);
+    span.textContent = formatDate(first, { month: "short" });
+    months.appendChild(span);
+  }
+}
+
+function markHeatmapDate(date){
+  $$("#heatmap .hm-cell").forEach(c => c.classList.toggle("hm-selected", c.dataset.date === date));
+}
+
+function showHeatTip(cell){
+  const tip = $("#heatmapTip");
+  if(!cell){
+    tip.classList.add("hidden");
+    return;
+  }
+  tip.textContent = cell.dataset.tip;
+  tip.classList.remove("hidden");
+  const box = cell.getBoundingClientRect();
+  const wrap = $("#heatmapWrap").getBoundingClientRect();
+  tip.style.left = `${Math.max(0, Math.min(box.left - wrap.left, wrap.width - tip.offsetWidth))}px`;
+  tip.style.top = `${box.bottom - wrap.top + 6}px`;
+}
+
+/* ---------------- Sync merge ----------------
+  Cells carry { updatedAt, device } of their last edit and, locally, the
+  `syncedRev` they last agreed with the server on; merge.js merges days and
+  habit lists from those. Deleted habits leave tombstones here.
+*/
+
+function getDeviceId(){
+  let id = localStorage.getItem(LS_KEYS.device);
+  if(!id){
+    id = "dev-" + Math.random().toString(36).slice(2,10) + Date.now().toString(36).slice(-4);
+    localStorage.setItem(LS_KEYS.device, id);
+  }
+  return id;
+}
+
+function getTombstones(){
+  const t = loadJSON(LS_KEYS.tombstones, {});
+  return (t && typeof t === "object") ? t : {};
+}
+function setTombstones(t){
+  saveJSON(LS_KEYS.tombstones, t || {});
+}
+
+// Carry revision metadata over from `prev`, or stamp a new revision if the
+// content changed.
+function stampCell(next, prev){
+  if(prev && sameCellContent(prev, next)){
+    const out = { ...next, updatedAt: prev.updatedAt || 0, device: prev.device || "" };
+    if(prev.syncedRev !== undefined) out.syncedRev = prev.syncedRev;
+    return out;
+  }
+  const out = { ...next, updatedAt: Date.now(), device: getDeviceId() };
+  if(prev?.syncedRev !== undefined) out.syncedRev = prev.syncedRev;
+  return out;
+}
+
+/* ---------------- Conflict resolution ---------------- */
+
+let conflictQueue = [];
+
+function queueConflicts(list){
+  if(!list?.length) return;
+  const key = (c) => `${c.date}|${c.habitId}`;
+  const fresh = new Map(conflictQueue.map(c => [key(c), c]));
+  for(const c of list) fresh.set(key(c), c);
+  conflictQueue = [...fresh.values()].sort((a,b)=> a.date.localeCompare(b.date));
+  renderConflicts();
+  openOverlay("#conflictOverlay");
+}
+
+function describeCellContent(h, cell){
+  if(!cell) return "—";
+  const parts = [cell.done ? "✅ done" : "not done"];
+  const v = h ? formatDetail(h.detail, cellValue(h, cell)) : "";
+  if(v || cell.text) parts.push(v || cell.text);
+  return parts.join(" · ");
+}
+
+function describeCell(h, cell){
+  if(!cell) return "—";
+  const when = cell.updatedAt ? new Date(cell.updatedAt).toLocaleString() : "unknown time";
+  return `${describeCellContent(h, cell)} (${when})`;
+}
+
+function renderConflicts(){
+  const habitMap = new Map(getHabits().map(h => [h.id, h]));
+  const tbody = $("#conflictTable tbody");
+  tbody.innerHTML = "";
+  conflictQueue.forEach((c, i)=>{
+    const h = habitMap.get(c.habitId);
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(c.date)}</td>
+      <td>${escapeHtml(h?.name || c.habitId)}</td>
+      <td><label class="inline"><input type="radio" name="conflict-${i}" value="local" checked /> ${escapeHtml(describeCell(h, c.local))}</label></td>
+      <td><label class="inline"><input type="radio" name="conflict-${i}" value="remote" /> ${escapeHtml(describeCell(h, c.remote))}</label></td>
+    `;
+    tbody.appendChild(tr);
+  });
+  $("#conflictCount").textContent = String(conflictQueue.length);
+}
+
+// Apply the chosen side of each conflict as a fresh local edit so it wins
+// everywhere on the next push.
+async function resolveConflicts(pick){
+  const entries = await getEntriesFor(conflictQueue.map(c => c.date));
+  const dates = new Set();
+  conflictQueue.forEach((c, i)=>{
+    const side = pick || ($(`input[name="conflict-${i}"]:checked`)?.value ?? "local");
+    const chosen = side === "remote" ? c.remote : c.local;
+    const { updatedAt: _u, device: _d, syncedRev: _s, ...content } = chosen;
+    entries[c.date] = entries[c.date] || {};
+    entries[c.date][c.habitId] = { ...content, updatedAt: Date.now(), device: getDeviceId(), syncedRev: c.remote.updatedAt || 0 };
+    dates.add(c.date);
+  });
+  await putEntries(entries);
+  dates.forEach(addPending);
+  conflictQueue = [];
+  closeOverlay("#conflictOverlay");
+  renderAll();
+  await flushPending().catch((e)=> console.warn("push after conflict resolution failed", e));
+}
+
+/* ---------------- Cloud Sync ----------------
+  Sync runs against one provider, picked in Settings:
+    firebase  Firebase Auth + Firestore (below)
+    rest      a small HTTP JSON API with an API key, e.g. an Apps Script web
+              app or a self-hosted server (contract: docs/sync-api.md)
+  A provider implements:
+    isConfigured()   settings are present
+    init()           connect / sign in; resolves false when not configured
+    ready()          signed in and usable
+    accountKey()     identifies the remote account (watermarks are per account)
+    getHabits()      → { habits, tombstones, schema, crypto } | null
+    putHabits(doc)   doc = { habits, tombstones, schema, crypto }
+    getDays(dates)   → { [date]: { day, schema } } (missing dates omitted)
+    pullDays(since)  → { days: { [date]: { day, schema } }, watermark }; since 0 = everything
+    putDays(list)    list = [{ date, day, schema, clientUpdatedAt, device }]
+    putChanges(list) change history records (see "Change history"), stored by id
+    pullChanges(since) → { changes, watermark }; records stored after `since`
+  Documents come back as stored; remoteHabits()/remoteDays() decrypt them
+  (see "Encryption") and upgrade old ones (see "Schema versions"). Local storage is the offline-first copy; we upload
+  deltas (merged cell by cell with the server copy, see "Sync merge"). Dates
+  wait in the pending queue until a push succeeds.
+  Pulls are incremental: only days the server changed after the stored
+  watermark are read. A full resync happens on demand, for a new account, or
+  when DATA_SCHEMA changes.
+*/
+
+const SYNC_RUNS_KEPT = 10;
+
+function getPending(){
+  const p = loadJSON(LS_KEYS.pending, []);
+  return Array.isArray(p) ? p : [];
+}
+function addPending(date){
+  const p = new Set(getPending());
+  p.add(date);
+  saveJSON(LS_KEYS.pending, Array.from(p));
+}
+function removePending(date){
+  const p = new Set(getPending());
+  p.delete(date);
+  saveJSON(LS_KEYS.pending, Array.from(p));
+}
+
+function getLastSync(){
+  const s = loadJSON(LS_KEYS.lastSync, {});
+  return { account: "", schema: 0, watermark: 0, fullAt: 0, runs: [], ...((s && typeof s === "object") ? s : {}) };
+}
+function setLastSync(patch){
+  saveJSON(LS_KEYS.lastSync, { ...getLastSync(), ...patch });
+}
+
+// Remote document reads/writes, counted for the sync stats in Settings.
+const syncCounter = { reads: 0, writes: 0 };
+
+async function countSyncRun(mode, fn){
+  const before = { ...syncCounter };
+  try{
+    return await fn();
+  }finally{
+    const run = { at: Date.now(), mode, reads: syncCounter.reads - before.reads, writes: syncCounter.writes - before.writes };
+    setLastSync({ runs: [run, ...getLastSync().runs].slice(0, SYNC_RUNS_KEPT) });
+    renderSyncStats();
+  }
+}
+
+function renderSyncStats(){
+  const el = $("#syncStats");
+  if(!el) return;
+  const ls = getLastSync();
+  if(!ls.runs.length){
+    el.textContent = "No syncs yet.";
+    return;
+  }
+  el.innerHTML = ls.runs.map(r =>
+    `<div>${escapeHtml(new Date(r.at).toLocaleString())} · ${escapeHtml(r.mode)} · read ${r.reads} · wrote ${r.writes}</div>`
+  ).join("");
+}
+
+function activeProvider(){
+  const name = getConfig().provider;
+  if(name === "rest") return restProvider;
+  if(name === "none") return null;
+  return firebaseProvider;
+}
+
+function cloudIsConfigured(){
+  return !!activeProvider()?.isConfigured();
+}
+
+async function cloudInit(){
+  const p = activeProvider();
+  if(!p || !p.isConfigured()) return false;
+  return p.init();
+}
+
+function requireCloud(){
+  const p = activeProvider();
+  if(!p) throw new Error("Cloud sync is off. Pick a provider in Settings → Cloud sync.");
+  if(!p.isConfigured()) throw new Error(p.notConfiguredMsg);
+  if(!p.ready()) throw new Error("Not connected yet.");
+  return p;
+}
+
+function needsFullSync(p, opts){
+  const ls = getLastSync();
+  return !!opts.full || !ls.watermark || ls.account !== p.accountKey() || ls.schema !== DATA_SCHEMA;
+}
+
+// Read-merge-write so habits edited on another device aren't overwritten.
+// Remote habits doc in the current model (null if there is none yet).
+// When encrypted, `habits` holds the sealed { habits, tombstones }.
+async function remoteHabits(doc){
+  if(!doc) return null;
+  const list = isSealed(doc.habits)
+    ? await unseal(doc.habits, "remote:habits", "The synced habit list")
+    : { habits: doc.habits, tombstones: doc.tombstones };
+  if(!Array.isArray(list?.habits)) return null;
+  const up = migrateData({ schema: doc.schema, habits: list.habits, entries: {} }, "The synced habit list");
+  return { habits: normalizeHabits(up.habits), tombstones: list.tombstones || {}, schema: schemaOf(doc.schema) };
+}
+
+async function toRemoteHabits(habits, tombstones){
+  const doc = { schema: DATA_SCHEMA, crypto: getCryptoHeader() };
+  if(!encryptionEnabled()) return { ...doc, habits, tombstones };
+  return { ...doc, habits: await seal({ habits, tombstones }, "remote:habits"), tombstones: {} };
+}
+
+// Remote day docs ({ [date]: { day, schema } }) → { [date]: day } in the current model.
+async function remoteDays(docs){
+  const out = {};
+  for(const [date, d] of Object.entries(docs)){
+    const day = await unseal(d.day || {}, `day:${date}`, `The synced day ${date}`);
+    out[date] = migrateData({ schema: d.schema, habits: null, entries: { [date]: day } }, `The synced day ${date}`, getHabits()).entries[date];
+  }
+  return out;
+}
+
+async function fetchRemoteHabits(p){
+  const doc = await p.getHabits();
+  await checkRemoteCrypto(doc?.crypto);
+  return { doc, habits: await remoteHabits(doc) };
+}
+
+async function cloudSaveHabits(){
+  const p = requireCloud();
+  const { doc, habits } = await fetchRemoteHabits(p);
+  const remote = habits || { habits: [], tombstones: {}, schema: DATA_SCHEMA };
+  const merged = mergeHabits(getHabits(), remote.habits, getTombstones(), remote.tombstones);
+  await setHabits(merged.habits);
+  setTombstones(merged.tombstones);
+  const unchanged = remote.schema === DATA_SCHEMA
+    && JSON.stringify(merged.habits) === JSON.stringify(remote.habits)
+    && JSON.stringify(merged.tombstones) === JSON.stringify(remote.tombstones)
+    && JSON.stringify(doc?.crypto || null) === JSON.stringify(getCryptoHeader())
+    && isSealed(doc?.habits) === encryptionEnabled();
+  if(unchanged) return;
+  await p.putHabits(await toRemoteHabits(merged.habits, merged.tombstones));
+}
+
+// Merge the given days with the server copies, then upload them in one
+// batch. Days with unresolved conflicts stay pending and the conflicts are
+// queued for the user. Returns the conflicts.
+async function cloudPushDays(dates){
+  const p = requireCloud();
+  if(!dates.length) return [];
+  const remote = await remoteDays(await p.getDays(dates));
+  const entries = await getEntriesFor(dates);
+  const conflicts = [];
+  const uploads = [];
+  const merged = {};
+
+  for(const date of dates){
+    const res = mergeDay(date, entries[date] || {}, remote[date] || {});
+    merged[date] = res.day;
+    if(res.conflicts.length){
+      conflicts.push(...res.conflicts);
+      continue;
+    }
+    const rev = dayRevision(res.day);
+    uploads.push({ date, day: await seal(toRemoteDay(res.day), `day:${date}`), schema: DATA_SCHEMA, clientUpdatedAt: rev.updatedAt, device: rev.device || getDeviceId() });
+  }
+
+  // conflicting days keep the local cells, but take the remote-only changes
+  const conflictDays = {};
+  for(const c of conflicts){
+    conflictDays[c.date] = merged[c.date];
+  }
+  if(conflicts.length) await putEntries(conflictDays);
+
+  if(uploads.length) await p.putDays(uploads);
+
+  const fresh = await getEntriesFor(uploads.map(u => u.date)); // re-read: the user may have saved meanwhile
+  const synced = {};
+  for(const u of uploads){
+    if(JSON.stringify(toRemoteDay(fresh[u.date] || {})) === JSON.stringify(toRemoteDay(entries[u.date] || {}))){
+      synced[u.date] = markDaySynced(merged[u.date]);
+      removePending(u.date);
+    }
+  }
+  await putEntries(synced);
+  queueConflicts(conflicts);
+  return conflicts;
+}
+
+async function flushPending(){
+  if(!cloudIsConfigured()) return [];
+
+  if(!await cloudInit()) return [];
+  if(!activeProvider().ready()) return [];
+
+  const p = getPending();
+  if(p.length === 0) return [];
+
+  return cloudPushDays(p); // on failure everything stays pending
+}
+
+async function cloudPullAll(opts = {}){
+  const p = requireCloud();
+
+  // Pull habits (merged per habit, honouring tombstones)
+  const habitsDoc = (await fetchRemoteHabits(p)).habits;
+  if(habitsDoc){
+    const merged = mergeHabits(getHabits(), habitsDoc.habits, getTombstones(), habitsDoc.tombstones);
+    await setHabits(merged.habits);
+    setTombstones(merged.tombstones);
+  }
+
+  // Pull days changed since the watermark (or all of them) and merge cell by cell
+  const full = needsFullSync(p, opts);
+  const since = full ? 0 : getLastSync().watermark;
+  const pulled = await p.pullDays(since);
+  const remote = await remoteDays(pulled.days);
+  const watermark = pulled.watermark;
+  const entries = await getEntriesFor(Object.keys(remote));
+
+  const conflicts = [];
+  for(const [date, remoteDay] of Object.entries(remote)){
+    const res = mergeDay(date, entries[date] || {}, remoteDay);
+    entries[date] = res.day;
+    if(res.needsPush || res.conflicts.length) addPending(date);
+    conflicts.push(...res.conflicts);
+  }
+
+  await putEntries(entries);
+  setLastSync({ account: p.accountKey(), schema: DATA_SCHEMA, watermark: Math.max(since, watermark || 0), ...(full ? { fullAt: Date.now() } : {}) });
+  queueConflicts(conflicts);
+  return conflicts;
+}
+
+async function cloudSyncNow(opts = {}){
+  await cloudInit();
+  const p = requireCloud();
+  const full = needsFullSync(p, opts);
+
+  return countSyncRun(full ? "full" : "delta", async ()=>{
+    // pull + merge first, so pushes never clobber newer remote edits
+    await cloudPullAll({ full });
+
+    // push pending (local edits and merged days)
+    await flushPending();
+
+    // push habits (small)
+    await cloudSaveHabits();
+
+    // optional: the change history (failures don't fail the sync)
+    await syncChangeLog(p, full).catch((e)=> console.warn("change history sync failed", e));
+  });
+}
+
+/* ---------------- Sync provider: Firebase (Auth + Firestore) ----------------
+  Storage model in Firestore:
+    users/{uid}/app/habits    (doc) { habits: [...], tombstones: { [habitId]: deletedAt }, schema, crypto, device, updatedAt }
+    users/{uid}/days/{date}  (doc) { date: "YYYY-MM-DD", day: { [habitId]: {done,value,updatedAt,device} },
+                                     schema, clientUpdatedAt, device, updatedAt }
+    users/{uid}/changes/{id} (doc) a change history record + updatedAt (only with history sync on)
+  With encryption on, `habits` and `day` are sealed objects (see Encryption).
+  `updatedAt` is a server timestamp, which makes it a safe pull watermark.
+  Docs are written whole (no merge), so a sealed payload never keeps fields
+  of the plaintext one it replaces.
+*/
+
+const FB_KEYS = {
+  firebase: "ht.firebase.v1"    // { firebaseConfigText, email, password }
+};
+
+function getFirebaseLocal(){
+  return loadJSON(FB_KEYS.firebase, { firebaseConfigText: "", email: "", password: "" });
+}
+function setFirebaseLocal(next){
+  saveJSON(FB_KEYS.firebase, next || { firebaseConfigText:"", email:"", password:"" });
 }
 
 let fb = {
@@ -543,223 +3024,1577 @@ function parseFirebaseConfig(text){
   throw new Error("Config JSON must include at least apiKey + projectId.");
 }
 
-function cloudIsConfigured(){
-  try{
-    const local = getFirebaseLocal();
-    return !!parseFirebaseConfig(local.firebaseConfigText);
-  }catch(_){
-    return false;
+function firebaseIsConfigured(){
+  try{
+    const local = getFirebaseLocal();
+    return !!parseFirebaseConfig(local.firebaseConfigText);
+  }catch(_){
+    return false;
+  }
+}
+
+function cloudUserLabel(){
+  if(!fb?.user) return "Not signed in";
+  return fb.user.isAnonymous ? `Anonymous (${fb.user.uid.slice(0,8)}…)` : (fb.user.email || fb.user.uid);
+}
+
+let firebaseSdk = null; // import promise
+
+function loadFirebaseSdk(){
+  firebaseSdk ||= Promise.all([
+    import(`${FIREBASE_SDK}/firebase-app.js`),
+    import(`${FIREBASE_SDK}/firebase-auth.js`),
+    import(`${FIREBASE_SDK}/firebase-firestore.js`)
+  ]).then(([app, auth, store])=>{
+    ({ initializeApp } = app);
+    ({ getAuth, onAuthStateChanged, signInAnonymously, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut } = auth);
+    ({ getFirestore, doc, getDoc, setDoc, getDocs, collection, query, where, serverTimestamp, Timestamp } = store);
+  }).catch((e)=>{
+    firebaseSdk = null; // try again next time
+    throw new Error(navigator.onLine ? `Couldn't load Firebase: ${e.message}` : "Firebase is unavailable offline. Changes are kept on this device and sync once you're back online.");
+  });
+  return firebaseSdk;
+}
+
+async function initFirebaseIfConfigured(){
+  if(fb.app && fb.db && fb.auth) return true;
+
+  const local = getFirebaseLocal();
+  if(!local.firebaseConfigText?.trim()) return false;
+
+  const cfg = parseFirebaseConfig(local.firebaseConfigText);
+  await loadFirebaseSdk();
+
+  fb.app = initializeApp(cfg);
+  fb.auth = getAuth(fb.app);
+  fb.db = getFirestore(fb.app);
+
+  onAuthStateChanged(fb.auth, (user)=>{
+    fb.user = user || null;
+    const el = document.querySelector("#fbUserStatus");
+    if(el) el.textContent = cloudUserLabel();
+  });
+
+  // Auto sign-in (Anonymous) if needed
+  if(!fb.auth.currentUser){
+    await signInAnonymously(fb.auth);
+  }
+
+  return true;
+}
+
+function requireFirebase(){
+  if(!firebaseIsConfigured()) throw new Error(firebaseProvider.notConfiguredMsg);
+  if(!fb.db || !fb.auth) throw new Error("Firebase not initialized yet.");
+  if(!fb.user) throw new Error("Not signed in yet.");
+}
+
+function habitsDocRef(){
+  requireFirebase();
+  return doc(fb.db, "users", fb.user.uid, "app", "habits");
+}
+
+function dayDocRef(date){
+  requireFirebase();
+  return doc(fb.db, "users", fb.user.uid, "days", date);
+}
+
+async function fsGet(ref){
+  syncCounter.reads += 1;
+  return getDoc(ref);
+}
+async function fsGetAll(q){
+  const snap = await getDocs(q);
+  syncCounter.reads += Math.max(1, snap.size); // an empty query still bills one read
+  return snap;
+}
+async function fsSet(ref, data, opts){
+  syncCounter.writes += 1;
+  return setDoc(ref, data, opts);
+}
+
+const firebaseProvider = {
+  id: "firebase",
+  notConfiguredMsg: "Firebase not configured. Open Settings → Firebase sync and paste your config JSON.",
+  isConfigured: firebaseIsConfigured,
+  init: initFirebaseIfConfigured,
+  ready: ()=> !!(fb.db && fb.user),
+  accountKey: ()=> fb.user?.uid || "",
+
+  async getHabits(){
+    const snap = await fsGet(habitsDocRef());
+    return snap.exists() ? (snap.data() || {}) : null;
+  },
+
+  async putHabits({ habits, tombstones, schema, crypto }){
+    await fsSet(habitsDocRef(), { habits, tombstones, schema, crypto, device: getDeviceId(), updatedAt: serverTimestamp() });
+  },
+
+  async getDays(dates){
+    const out = {};
+    for(const date of dates){
+      const snap = await fsGet(dayDocRef(date));
+      if(snap.exists()) out[date] = { day: snap.data()?.day || {}, schema: snap.data()?.schema };
+    }
+    return out;
+  },
+
+  async pullDays(since){
+    requireFirebase();
+    const col = collection(fb.db, "users", fb.user.uid, "days");
+    const snap = await fsGetAll(since ? query(col, where("updatedAt", ">", Timestamp.fromMillis(since))) : col);
+    const days = {};
+    let watermark = since;
+    snap.forEach(d=>{
+      const data = d.data() || {};
+      const date = data.date || d.id;
+      if(date) days[date] = { day: data.day || {}, schema: data.schema };
+      const ts = data.updatedAt?.toMillis?.() || 0;
+      if(ts > watermark) watermark = ts;
+    });
+    return { days, watermark };
+  },
+
+  async putDays(list){
+    for(const u of list){
+      await fsSet(dayDocRef(u.date), { ...u, updatedAt: serverTimestamp() });
+    }
+  },
+
+  async putChanges(list){
+    requireFirebase();
+    for(const c of list){
+      await fsSet(doc(fb.db, "users", fb.user.uid, "changes", c.id), { ...c, updatedAt: serverTimestamp() });
+    }
+  },
+
+  async pullChanges(since){
+    requireFirebase();
+    const col = collection(fb.db, "users", fb.user.uid, "changes");
+    const snap = await fsGetAll(since ? query(col, where("updatedAt", ">", Timestamp.fromMillis(since))) : col);
+    const changes = [];
+    let watermark = since;
+    snap.forEach(d=>{
+      const { updatedAt, ...c } = d.data() || {};
+      changes.push(c);
+      const ts = updatedAt?.toMillis?.() || 0;
+      if(ts > watermark) watermark = ts;
+    });
+    return { changes, watermark };
+  }
+};
+
+/* ---------------- Sync provider: HTTP JSON API ----------------
+  Talks to any endpoint implementing docs/sync-api.md (an Apps Script web
+  app, or the reference server in tools/sync-server.mjs). Every call is a
+  POST with a JSON body { key, action, ... } sent as text/plain, which keeps
+  it a "simple" CORS request; Apps Script can't answer preflights.
+*/
+
+async function restCall(action, payload = {}){
+  const { apiUrl, apiKey } = getConfig();
+  if(!apiUrl) throw new Error(restProvider.notConfiguredMsg);
+  const res = await fetch(apiUrl, {
+    method: "POST",
+    headers: { "Content-Type": "text/plain;charset=utf-8" },
+    body: JSON.stringify({ key: apiKey, action, ...payload }),
+    redirect: "follow"
+  });
+  if(!res.ok) throw new Error(`Sync API “${action}” failed: HTTP ${res.status}`);
+  let data;
+  try{
+    data = await res.json();
+  }catch(_e){
+    throw new Error(`Sync API “${action}” didn't return JSON.`);
+  }
+  if(!data?.ok) throw new Error(data?.error || `Sync API “${action}” failed.`);
+  return data;
+}
+
+function restDaysToMap(list){
+  const days = {};
+  let watermark = 0;
+  for(const d of Array.isArray(list) ? list : []){
+    if(!isISODate(d?.date)) continue;
+    days[d.date] = { day: (d.day && typeof d.day === "object") ? d.day : {}, schema: d.schema };
+    watermark = Math.max(watermark, Number(d.updatedAt) || 0);
+  }
+  return { days, watermark };
+}
+
+const restProvider = {
+  id: "rest",
+  notConfiguredMsg: "HTTP sync not configured. Open Settings → HTTP API sync and enter the URL + API key.",
+  isConfigured: ()=> !!getConfig().apiUrl,
+  init: async ()=> !!getConfig().apiUrl,
+  ready: ()=> !!getConfig().apiUrl,
+  accountKey: ()=> getConfig().apiUrl,
+
+  async getHabits(){
+    const data = await restCall("getHabits");
+    syncCounter.reads += 1;
+    if(!Array.isArray(data.habits) && !isSealed(data.habits)) return null;
+    return { habits: data.habits, tombstones: data.tombstones || {}, schema: data.schema, crypto: data.crypto || null };
+  },
+
+  async putHabits({ habits, tombstones, schema, crypto }){
+    await restCall("putHabits", { habits, tombstones, schema, crypto, device: getDeviceId() });
+    syncCounter.writes += 1;
+  },
+
+  async getDays(dates){
+    const data = await restCall("getDays", { dates });
+    const { days } = restDaysToMap(data.days);
+    syncCounter.reads += Object.keys(days).length;
+    return days;
+  },
+
+  async pullDays(since){
+    const data = await restCall("pullDays", { since });
+    const res = restDaysToMap(data.days);
+    syncCounter.reads += Object.keys(res.days).length;
+    return { days: res.days, watermark: Math.max(since, res.watermark) };
+  },
+
+  async putDays(list){
+    await restCall("putDays", { days: list });
+    syncCounter.writes += list.length;
+  },
+
+  async putChanges(list){
+    await restCall("putChanges", { changes: list });
+    syncCounter.writes += list.length;
+  },
+
+  async pullChanges(since){
+    const data = await restCall("pullChanges", { since });
+    const list = Array.isArray(data.changes) ? data.changes : [];
+    syncCounter.reads += list.length;
+    return {
+      changes: list.map(({ updatedAt: _u, ...c }) => c),
+      watermark: Math.max(since, ...list.map(c => Number(c?.updatedAt) || 0))
+    };
+  }
+};
+
+/* ---------------- Report export ----------------
+  "Download report" renders the quick report's range as one self-contained
+  HTML page: the quick stats, the completion and trend charts as PNG data
+  URLs, a table per habit and the log (with the log table's filters and
+  sort). "PDF" prints that same page from a hidden frame, so the browser's
+  "Save as PDF" does the rest. The Markdown summary is the stats and the
+  per-habit figures only, short enough to paste into weekly notes. Any
+  chart can also be saved on its own as a PNG.
+*/
+
+const REPORT_CSS = `
+  body{ font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #111; margin: 2rem auto; max-width: 900px; padding: 0 1rem; }
+  h1{ font-size: 1.5rem; margin: 0 0 .25rem; }
+  h2{ font-size: 1.15rem; margin: 1.75rem 0 .5rem; }
+  h3{ font-size: 1rem; margin: 1rem 0 .35rem; }
+  .muted{ color: #555; }
+  .stats{ display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: .5rem; }
+  .stat{ border: 1px solid #ccc; border-radius: 8px; padding: .5rem .6rem; }
+  .stat .k{ color: #555; font-size: .85rem; }
+  .stat .v{ font-weight: 700; }
+  img{ max-width: 100%; }
+  table{ border-collapse: collapse; width: 100%; font-size: .9rem; }
+  th, td{ border: 1px solid #ccc; padding: .3rem .45rem; text-align: left; vertical-align: top; }
+  th{ background: #f2f2f2; }
+  tr, img, .stat{ break-inside: avoid; }
+  @page{ margin: 1.5cm; }
+`;
+
+// PNG data URL of a chart on a white background (the canvas itself is
+// transparent, which reads badly outside the app).
+function chartImage(chart){
+  if(!chart) return null;
+  const src = chart.canvas;
+  const out = document.createElement("canvas");
+  out.width = src.width;
+  out.height = src.height;
+  const ctx = out.getContext("2d");
+  if(!ctx) return chart.toBase64Image();
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(src, 0, 0);
+  return out.toDataURL("image/png");
+}
+
+// Everything a report shows, for the range the quick report shows.
+async function reportData(){
+  const range = await reportRange();
+  const entries = await getEntries(scheduleWindow(range));
+  const report = buildReport(range, entries);
+  const streaks = await loadStreaks(getHabits().filter(h => !h.archivedAt));
+
+  const habits = report.habits.map(h => {
+    const a = report.perHabit.get(h.id);
+    const sk = streaks.get(h.id);
+    return {
+      habit: h,
+      done: a.done,
+      total: a.total,
+      pct: a.total ? Math.round(a.done / a.total * 100) : null,
+      summary: summarizeValues(h, a.values),
+      streak: sk ? { current: formatStreak(sk.current, sk.unit), longest: formatStreak(sk.longest, sk.unit) } : null,
+      goal: h.goal ? describeGoal(h, h.goal) : ""
+    };
+  });
+
+  return {
+    range,
+    stats: quickStats(report, range),
+    habits,
+    log: sortLogRows(filterLogRows(logRows(range, entries))),
+    trendName: $("#habitTrendSelect").selectedOptions[0]?.textContent || "",
+    charts: { completion: chartImage(completionChart), trend: chartImage(trendChart) }
+  };
+}
+
+function reportHTML(d){
+  const title = `Habit report ${d.range.start} → ${d.range.end}`;
+  const cell = (v) => `<td>${escapeHtml(v ?? "—")}</td>`;
+  const habitTable = (x) => `
+    <h3>${escapeHtml(x.habit.name)}</h3>
+    <table>
+      <tr><th>Done on due days</th>${cell(`${x.done} of ${x.total}${x.pct === null ? "" : ` (${x.pct}%)`}`)}</tr>
+      ${x.summary ? `<tr><th>${escapeHtml(SUMMARY_NAMES[x.habit.summary])}</th>${cell(x.summary.text)}</tr>` : ""}
+      ${x.streak ? `<tr><th>Current streak</th>${cell(x.streak.current)}</tr><tr><th>Longest streak</th>${cell(x.streak.longest)}</tr>` : ""}
+      ${x.goal ? `<tr><th>Goal</th>${cell(x.goal)}</tr>` : ""}
+      <tr><th>Schedule</th>${cell(describeSchedule(x.habit.schedule))}</tr>
+    </table>`;
+  const chart = (src, caption) => src ? `<figure><img src="${src}" alt="${escapeHtml(caption)}" /><figcaption class="muted">${escapeHtml(caption)}</figcaption></figure>` : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="muted">Generated ${escapeHtml(new Date().toLocaleString())}</div>
+
+<h2>Summary</h2>
+<div class="stats">
+${d.stats.map(s => `<div class="stat"><div class="k">${escapeHtml(s.k)}</div><div class="v">${escapeHtml(s.v)}</div></div>`).join("\n")}
+</div>
+${chart(d.charts.completion, "Completion % of due days")}
+${chart(d.charts.trend, `Trend: ${d.trendName}`)}
+
+<h2>Habits</h2>
+${d.habits.map(habitTable).join("\n") || '<p class="muted">No habits in this range.</p>'}
+
+<h2>Log</h2>
+${d.log.length ? `<table>
+<tr><th>Date</th><th>Habit</th><th>Done</th><th>Details</th></tr>
+${d.log.map(r => `<tr>${cell(r.date)}${cell(r.habit.name)}<td>${r.done ? "✅" : "—"}</td>${cell(r.text || "")}</tr>`).join("\n")}
+</table>` : '<p class="muted">Nothing logged.</p>'}
+</body>
+</html>
+`;
+}
+
+function reportMarkdown(d){
+  const esc = (v) => String(v ?? "—").replace(/\|/g, "\\|");
+  const lines = [
+    `## Habits ${d.range.start} → ${d.range.end}`,
+    "",
+    ...d.stats.filter(s => s.k !== "Range").map(s => `- **${esc(s.k)}:** ${esc(s.v)}`),
+    "",
+    "| Habit | Done | Completion | Summary | Streak |",
+    "|---|---|---|---|---|",
+    ...d.habits.map(x => `| ${esc(x.habit.name)} | ${x.done}/${x.total} | ${x.pct === null ? "—" : `${x.pct}%`} | ${esc(x.summary?.text)} | ${esc(x.streak?.current)} |`)
+  ];
+  return lines.join("\n") + "\n";
+}
+
+// Prints the report from a hidden frame; the print dialog offers "Save as PDF".
+function printReport(html){
+  const frame = document.createElement("iframe");
+  frame.className = "print-frame";
+  frame.setAttribute("aria-hidden", "true");
+  frame.srcdoc = html;
+  frame.addEventListener("load", ()=>{
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(()=> frame.remove(), 1000);
+  }, { once: true });
+  document.body.appendChild(frame);
+}
+
+async function downloadReport(format){
+  const d = await reportData();
+  const base = `habit-report-${d.range.start}_${d.range.end}`;
+  if(format === "md"){
+    downloadFile(`${base}.md`, reportMarkdown(d), "text/markdown");
+    return { ok:true, msg:"Markdown summary downloaded." };
+  }
+  if(format === "pdf"){
+    printReport(reportHTML(d));
+    return { ok:true, msg:"Choose “Save as PDF” in the print dialog." };
+  }
+  downloadFile(`${base}.html`, reportHTML(d), "text/html");
+  return { ok:true, msg:"Report downloaded." };
+}
+
+async function copyReportMarkdown(){
+  const md = reportMarkdown(await reportData());
+  try{
+    await navigator.clipboard.writeText(md);
+    return { ok:true, msg:"Markdown summary copied." };
+  }catch(e){
+    return { ok:false, msg:"Couldn't copy; download the Markdown summary instead." };
+  }
+}
+
+async function downloadChartPNG(which){
+  const chart = { completion: completionChart, trend: trendChart, rollup: rollupChart }[which];
+  const url = chartImage(chart);
+  if(!url) return { ok:false, msg:"The chart isn't available (Chart.js didn't load)." };
+  const range = await reportRange();
+  downloadURL(`habit-${which}-${range.start}_${range.end}.png`, url);
+  return { ok:true, msg:"Chart saved as PNG." };
+}
+
+/* ---------------- Export / Import ---------------- */
+
+
+function downloadURL(name, url){
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function downloadFile(name, content, type){
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  downloadURL(name, url);
+  URL.revokeObjectURL(url);
+}
+
+// With a passphrase the whole backup (sync settings included) is sealed
+// with its own PBKDF2-derived key, so it can be imported on any device.
+async function exportJSON(){
+  const pass = $("#exportPass").value;
+  if(!pass && encryptionEnabled() && !confirm("Your data is encrypted, but this backup would be a readable copy. Export it without a passphrase? (Set one under Settings → Backup.)")) return;
+  const data = {
+    schema: DATA_SCHEMA,
+    habits: getHabits(),
+    entries: await getEntries(),
+    config: getConfig(),
+    exportedAt: new Date().toISOString()
+  };
+  const out = pass ? await encryptBackup(data, pass) : data;
+  downloadFile(pass ? "habit-tracker-backup.encrypted.json" : "habit-tracker-backup.json", JSON.stringify(out, null, 2), "application/json");
+}
+
+async function encryptBackup(data, passphrase){
+  const salt = toBase64(randomBytes(16));
+  const key = await derivePassphraseKey(passphrase, salt, CRYPTO_ITERATIONS);
+  const sealed = await sealWith(key, "backup", data, "backup");
+  return {
+    app: "habit-tracker",
+    encrypted: { v: 1, kdf: "PBKDF2-SHA256", iterations: CRYPTO_ITERATIONS, salt, iv: sealed.iv, ct: sealed.ct },
+    exportedAt: data.exportedAt
+  };
+}
+
+// → the backup object, or null for a wrong passphrase.
+async function decryptBackup(envelope, passphrase){
+  const e = envelope.encrypted;
+  try{
+    const key = await derivePassphraseKey(passphrase, e.salt, Number(e.iterations) || CRYPTO_ITERATIONS);
+    return await openWith(key, e, "backup");
+  }catch(_e){
+    return null;
+  }
+}
+
+// Shape check for backup files, so a wrong file is rejected before it can
+// touch anything. Returns readable paths like entries["2024-01-02"].run.done.
+function validateBackup(data){
+  if(!data || typeof data !== "object" || Array.isArray(data)){
+    return { ok:false, errors:["Not a habit tracker backup (expected a JSON object)."] };
+  }
+  const errors = [];
+  const err = (path, msg) => { if(errors.length < 20) errors.push(`${path}: ${msg}`); };
+  const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+  if(!("habits" in data) && !("entries" in data)){
+    errors.push("No “habits” or “entries” — is this a habit tracker backup?");
+  }
+  if("habits" in data){
+    if(!Array.isArray(data.habits)){
+      err("habits", "expected a list");
+    }else{
+      const seen = new Set();
+      data.habits.forEach((h, i) => {
+        if(!isObj(h)) return err(`habits[${i}]`, "expected an object");
+        if(typeof h.id !== "string" || !h.id.trim()) err(`habits[${i}].id`, "missing");
+        else if(seen.has(h.id)) err(`habits[${i}].id`, `duplicate id “${h.id}”`);
+        seen.add(h.id);
+        if(typeof h.name !== "string" || !h.name.trim()) err(`habits[${i}].name`, "missing");
+        if(h.detail !== undefined && (!isObj(h.detail) || !DETAIL_TYPES.includes(h.detail.type))){
+          err(`habits[${i}].detail`, "unknown details type");
+        }
+      });
+    }
+  }
+  if("entries" in data){
+    if(!isObj(data.entries)){
+      err("entries", "expected an object keyed by date");
+    }else{
+      for(const [date, day] of Object.entries(data.entries)){
+        const at = `entries["${date}"]`;
+        if(!isISODate(date)){ err(at, "key is not a YYYY-MM-DD date"); continue; }
+        if(!isObj(day)){ err(at, "expected an object keyed by habit id"); continue; }
+        for(const [id, cell] of Object.entries(day)){
+          const p = `${at}.${id}`;
+          if(!isObj(cell)){ err(p, "expected an object"); continue; }
+          if("done" in cell && typeof cell.done !== "boolean") err(`${p}.done`, "expected true/false");
+          if("value" in cell && cell.value !== null && !["number","string"].includes(typeof cell.value)) err(`${p}.value`, "expected a number, text or null");
+          if("text" in cell && typeof cell.text !== "string") err(`${p}.text`, "expected text");
+          if("updatedAt" in cell && !Number.isFinite(cell.updatedAt)) err(`${p}.updatedAt`, "expected a timestamp (ms)");
+        }
+      }
+    }
+  }
+  if("config" in data && !isObj(data.config)) err("config", "expected an object");
+  if("schema" in data && !(Number.isInteger(data.schema) && data.schema > 0)) err("schema", "expected a version number");
+  return { ok: errors.length === 0, errors };
+}
+
+// Parse + validate a backup file and bring it up to the current data model.
+// Encrypted backups come back as { ok:false, locked } until decrypted.
+async function readBackupFile(file){
+  let data;
+  try{
+    data = JSON.parse(await file.text());
+  }catch(e){
+    return { ok:false, errors:[`Not valid JSON: ${e.message}`] };
+  }
+  if(typeof data?.encrypted?.ct === "string") return { ok:false, locked: data, errors: [] };
+  return readBackup(data);
+}
+
+function readBackup(data){
+  try{
+    assertKnownSchema(data?.schema, "This backup");
+  }catch(e){
+    return { ok:false, errors:[e.message] };
+  }
+  const check = validateBackup(data);
+  if(!check.ok) return check;
+
+  const up = migrateData({ schema: data.schema, habits: data.habits || null, entries: data.entries }, "This backup", getHabits());
+  return {
+    ok:true,
+    habits: up.habits ? normalizeHabits(up.habits) : null,
+    entries: up.entries,
+    exportedAt: data.exportedAt || ""
+  };
+}
+
+const cellContent = ({ updatedAt: _u, device: _d, syncedRev: _s, ...content }) => content;
+
+// How a backup relates to local data, day by day:
+//   added        only in the file
+//   changed      differs, and the file's cells are the newer ones
+//   conflicting  differs, and at least one local cell was edited after the file's
+function diffBackup(localHabits, localEntries, file){
+  const localIds = new Set(localHabits.map(h => h.id));
+  const out = {
+    habitsAdded: (file.habits || []).filter(h => !localIds.has(h.id)),
+    daysAdded: [], daysChanged: [], daysConflicting: [], daysSame: 0
+  };
+  for(const [date, fday] of Object.entries(file.entries)){
+    const lday = localEntries[date];
+    if(!lday){
+      out.daysAdded.push(date);
+      continue;
+    }
+    let changed = false, conflict = false;
+    for(const [id, fcell] of Object.entries(fday)){
+      const lcell = lday[id];
+      if(lcell && sameCellContent(lcell, fcell)) continue;
+      if(!lcell && !fcell.done && (fcell.value ?? null) === null && !fcell.text) continue;
+      changed = true;
+      if(lcell && (lcell.updatedAt || 0) > (fcell.updatedAt || 0)) conflict = true;
+    }
+    if(conflict) out.daysConflicting.push(date);
+    else if(changed) out.daysChanged.push(date);
+    else out.daysSame += 1;
+  }
+  return out;
+}
+
+// Days to write for an import. Cells taken from the file become fresh
+// local edits, so they sync like anything typed in by hand.
+//   newer    per cell, the more recently edited side wins (ties keep local)
+//   file     per cell, the file wins wherever it differs
+//   replace  the file becomes the whole log; local-only cells are cleared
+function mergeBackupDays(mode, localEntries, file){
+  const out = {};
+  const dates = mode === "replace"
+    ? new Set([...Object.keys(localEntries), ...Object.keys(file.entries)])
+    : new Set(Object.keys(file.entries));
+
+  for(const date of dates){
+    const lday = localEntries[date] || {};
+    const fday = file.entries[date] || {};
+    const day = { ...lday };
+    let touched = false;
+    const ids = mode === "replace" ? new Set([...Object.keys(lday), ...Object.keys(fday)]) : Object.keys(fday);
+    for(const id of ids){
+      const lcell = lday[id];
+      const fcell = fday[id] || { done:false, value:null };
+      if(lcell && sameCellContent(lcell, fcell)) continue;
+      if(!lcell && !fcell.done && (fcell.value ?? null) === null && !fcell.text) continue;
+      if(mode === "newer" && lcell && (lcell.updatedAt || 0) >= (fcell.updatedAt || 0)) continue;
+      day[id] = stampCell(cellContent(fcell), lcell);
+      touched = true;
+    }
+    if(touched) out[date] = day;
+  }
+  return out;
+}
+
+function mergeBackupHabits(mode, localHabits, fileHabits){
+  if(!fileHabits) return localHabits;
+  if(mode === "replace") return fileHabits;
+  const byId = new Map(fileHabits.map(h => [h.id, h]));
+  const merged = localHabits.map(h => {
+    const f = byId.get(h.id);
+    if(!f) return h;
+    return (mode === "file" || f.updatedAt > h.updatedAt) ? { ...f, updatedAt: h.updatedAt } : h;
+  });
+  const localIds = new Set(localHabits.map(h => h.id));
+  return [...merged, ...fileHabits.filter(h => !localIds.has(h.id))];
+}
+
+// One snapshot is kept: the state right before the latest import. With
+// encryption on, habits + entries are sealed; takenAt/source stay readable.
+async function takeImportSnapshot(source){
+  await writeImportSnapshot({
+    takenAt: Date.now(),
+    source,
+    schema: DATA_SCHEMA,
+    habits: getHabits(),
+    entries: await getEntries()
+  });
+}
+
+async function writeImportSnapshot(snap){
+  const { habits, entries, ...info } = snap;
+  const value = encryptionEnabled() ? { ...info, sealed: await seal({ habits, entries }, "importSnapshot") } : snap;
+  await storage.putMeta("importSnapshot", value);
+}
+
+async function readImportSnapshot(){
+  const snap = await storage.getMeta("importSnapshot");
+  if(!snap?.sealed) return snap || null;
+  const { sealed, ...info } = snap;
+  return { ...info, ...(await unseal(sealed, "importSnapshot", "The import snapshot")) };
+}
+
+async function undoImport(){
+  const stored = await readImportSnapshot();
+  if(!stored) return { ok:false, msg:"Nothing to undo." };
+  const snap = { ...stored, ...migrateData(stored, "The import snapshot", getHabits()) };
+
+  // restore as fresh edits, so other devices get the old values back too
+  const current = await getEntries();
+  const restored = {};
+  for(const date of new Set([...Object.keys(current), ...Object.keys(snap.entries)])){
+    const now = current[date] || {};
+    const was = snap.entries[date] || {};
+    const day = { ...now };
+    let touched = false;
+    for(const id of new Set([...Object.keys(now), ...Object.keys(was)])){
+      const target = was[id] || { done:false, value:null };
+      if(now[id] ? sameCellContent(now[id], target) : !was[id]) continue;
+      day[id] = stampCell(cellContent(target), now[id]);
+      touched = true;
+    }
+    if(touched) restored[date] = day;
+  }
+  await putEntries(restored);
+  Object.keys(restored).forEach(addPending);
+  await commitHabits(snap.habits);
+  await storage.putMeta("importSnapshot", null);
+  flushPending().catch(()=>{});
+  return { ok:true, msg:`Import undone (${Object.keys(restored).length} day(s) restored).` };
+}
+
+async function renderUndoImport(){
+  const snap = await storage.getMeta("importSnapshot");
+  $("#btnUndoImport").classList.toggle("hidden", !snap);
+  $("#undoImportInfo").textContent = snap
+    ? `Snapshot from before the last import (${snap.source}, ${new Date(snap.takenAt).toLocaleString()}).`
+    : "";
+}
+
+let pendingImport = null; // { file, name } validated backup waiting for a mode
+let lockedImport = null;  // { data, name } encrypted backup waiting for its passphrase
+
+async function openImportWizard(file){
+  const res = await readBackupFile(file);
+  const name = file.name || "backup";
+  lockedImport = res.locked ? { data: res.locked, name } : null;
+  pendingImport = null;
+  $("#importLocked").classList.toggle("hidden", !res.locked);
+  if(res.locked){
+    $("#importInvalid").classList.add("hidden");
+    $("#importValid").classList.add("hidden");
+    $("#btnImportApply").disabled = true;
+    $("#importPass").value = "";
+    setStatus($("#importStatus"), "");
+    openOverlay("#importOverlay");
+    $("#importPass").focus();
+    return;
+  }
+  await showImportFile(res, name);
+}
+
+async function decryptImport(){
+  const data = await decryptBackup(lockedImport.data, $("#importPass").value);
+  if(!data){
+    setStatus($("#importStatus"), "Wrong passphrase.", false);
+    return;
+  }
+  const { name } = lockedImport;
+  lockedImport = null;
+  $("#importLocked").classList.add("hidden");
+  await showImportFile(readBackup(data), name);
+}
+
+async function showImportFile(res, name){
+  pendingImport = res.ok ? { file: res, name } : null;
+
+  $("#importErrors").innerHTML = res.ok ? "" : res.errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+  $("#importInvalid").classList.toggle("hidden", res.ok);
+  $("#importValid").classList.toggle("hidden", !res.ok);
+  $("#btnImportApply").disabled = !res.ok;
+  setStatus($("#importStatus"), "");
+
+  if(res.ok){
+    const diff = diffBackup(getHabits(), await getEntries(), res);
+    const list = (dates) => dates.length ? ` <span class="muted small">${escapeHtml(dates.sort().slice(0, 6).join(", "))}${dates.length > 6 ? "…" : ""}</span>` : "";
+    $("#importSummary").innerHTML = `
+      <tr><td>Habits added</td><td class="center">${diff.habitsAdded.length}</td><td>${escapeHtml(diff.habitsAdded.map(h => h.name).join(", "))}</td></tr>
+      <tr><td>Days added</td><td class="center">${diff.daysAdded.length}</td><td>${list(diff.daysAdded)}</td></tr>
+      <tr><td>Days changed</td><td class="center">${diff.daysChanged.length}</td><td>${list(diff.daysChanged)}</td></tr>
+      <tr><td>Days conflicting <span class="muted small">(edited here after the backup)</span></td><td class="center">${diff.daysConflicting.length}</td><td>${list(diff.daysConflicting)}</td></tr>
+      <tr><td>Days identical</td><td class="center">${diff.daysSame}</td><td></td></tr>
+    `;
+    $("#importFileInfo").textContent = `${name}${res.exportedAt ? ` · exported ${new Date(res.exportedAt).toLocaleString()}` : ""}`;
+    $("input[name=importMode][value=newer]").checked = true;
+  }
+  openOverlay("#importOverlay");
+}
+
+async function applyImport(mode){
+  const { file, name } = pendingImport;
+  await takeImportSnapshot(name);
+
+  const days = mergeBackupDays(mode, await getEntries(), file);
+  await putEntries(days);
+  Object.keys(days).forEach(addPending);
+  // sync settings in the file are never applied: they'd point this
+  // device at whatever account the file names
+  if(file.habits) await commitHabits(mergeBackupHabits(mode, getHabits(), file.habits));
+
+  pendingImport = null;
+  flushPending().catch(()=>{});
+  return Object.keys(days).length;
+}
+
+/* ---------------- CSV ----------------
+  Tidy long format, one row per date × habit:
+    date, habit_id, habit_name, done (1/0), details (as shown in the app), value (numeric or empty)
+  Import takes any CSV with at least a date and a habit column; the other
+  columns are optional and mapped by the user before anything is written.
+*/
+
+const CSV_COLUMNS = ["date", "habit_id", "habit_name", "done", "details", "value"];
+
+const CSV_FIELDS = [
+  { key: "date", label: "Date (YYYY-MM-DD)", required: true, guess: ["date", "day"] },
+  { key: "habit", label: "Habit (id or name)", required: true, guess: ["habit_id", "habit", "habit_name", "name", "id"] },
+  { key: "done", label: "Done", guess: ["done", "completed", "complete", "status"] },
+  { key: "details", label: "Details", guess: ["details", "detail", "notes", "note", "text"] },
+  { key: "value", label: "Numeric value", guess: ["value", "amount", "numeric_value"] }
+];
+
+// Spreadsheets run text starting with = + - or @ as a formula, so it gets
+// a ' in front; csvCell() takes it off again on import.
+function csvEscape(v){
+  let txt = String(v ?? "");
+  if(typeof v === "string" && /^[=+\-@]/.test(txt)) txt = "'" + txt;
+  return /[",\n\r]/.test(txt) ? `"${txt.replace(/"/g, '""')}"` : txt;
+}
+
+function toCSV(rows){
+  return rows.map(r => r.map(csvEscape).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180-ish parser. The delimiter is sniffed from the header line, since
+// spreadsheets in many locales save with ";" (or tabs).
+function parseCSV(text){
+  const src = String(text).replace(/^\uFEFF/, "");
+  const head = src.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].reduce((best, d) => head.split(d).length > head.split(best).length ? d : best, ",");
+
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for(let i = 0; i < src.length; i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"' && src[i + 1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+    }else if(ch === '"' && field === ""){
+      quoted = true;
+    }else if(ch === delim){
+      row.push(field); field = "";
+    }else if(ch === "\n" || ch === "\r"){
+      if(ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    }else{
+      field += ch;
+    }
+  }
+  if(field !== "" || row.length){
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+function csvRange(entries){
+  const dates = Object.keys(entries).filter(isISODate).sort();
+  return dates.length ? { start: dates[0], end: dates[dates.length - 1] } : null;
+}
+
+async function exportCSV(scope){
+  const habits = getHabits();
+  let range, entries;
+  if(scope === "range"){
+    range = await reportRange();
+    entries = await getEntries(range);
+  }else{
+    entries = await getEntries();
+    range = csvRange(entries);
+  }
+
+  const rows = [CSV_COLUMNS];
+  for(const date of range ? eachDate(range.start, range.end) : []){
+    for(const h of habits){
+      if(!habitVisibleOn(h, date)) continue;
+      const st = entries[date]?.[h.id];
+      const value = cellValue(h, st);
+      const details = formatDetail(h.detail, value) || (st?.text || "").trim();
+      rows.push([date, h.id, h.name, st?.done ? 1 : 0, details, numericValue(h.detail, value) ?? ""]);
+    }
+  }
+  const name = range && scope === "range" ? `habit-tracker-${range.start}_${range.end}.csv` : "habit-tracker-log.csv";
+  downloadFile(name, toCSV(rows), "text/csv;charset=utf-8");
+}
+
+function guessCsvMapping(header){
+  const norm = header.map(h => h.trim().toLowerCase().replace(/[\s-]+/g, "_"));
+  const map = {};
+  for(const f of CSV_FIELDS){
+    const hit = f.guess.map(g => norm.indexOf(g)).find(i => i >= 0);
+    map[f.key] = hit ?? -1;
+  }
+  return map;
+}
+
+function csvCell(raw){
+  return String(raw ?? "").trim().replace(/^'(?=[=+\-@])/, "");
+}
+
+function csvDate(raw){
+  const m = String(raw || "").trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/);
+  if(!m) return "";
+  const iso = `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  return isISODate(iso) ? iso : "";
+}
+
+// Values may use a decimal comma ("5,2").
+function csvNumber(raw){
+  return raw === "" ? NaN : Number(raw.replace(",", "."));
+}
+
+function csvDone(raw){
+  return /^(1|true|yes|y|x|done|✓|✔|✅)$/i.test(String(raw || "").trim());
+}
+
+// Details type for a habit that only exists in the file, judged from its values.
+function guessCsvDetail(texts, numbers){
+  if(texts.length){
+    const parsed = texts.map(parseNumberish);
+    if(parsed.every(p => p && Number.isFinite(p.n))){
+      return { type: "number", unit: parsed.find(p => p.unit)?.unit || "" };
+    }
+    return { type: "text" };
+  }
+  return numbers.length ? { type: "number" } : { type: "none" };
+}
+
+// Turn mapped CSV rows into day cells. Pure: returns what would be written.
+function csvToEntries(rows, map, opts = {}){
+  const col = (r, key) => map[key] >= 0 ? csvCell(r[map[key]]) : "";
+  const habits = getHabits();
+  const byId = new Map(habits.map(h => [h.id, h]));
+  const byName = new Map(habits.map(h => [h.name.toLowerCase(), h]));
+  const out = { days: {}, newHabits: [], rows: 0, skipped: 0, asText: 0, badDates: 0 };
+
+  // unknown habits first, so their details type can be guessed from all their rows
+  const unknown = new Map();
+  for(const r of rows){
+    const key = col(r, "habit");
+    if(!key || byId.has(key) || byName.has(key.toLowerCase())) continue;
+    const u = unknown.get(key.toLowerCase()) || { name: key, texts: [], numbers: [] };
+    if(col(r, "details")) u.texts.push(col(r, "details"));
+    const num = csvNumber(col(r, "value"));
+    if(Number.isFinite(num)) u.numbers.push(num);
+    unknown.set(key.toLowerCase(), u);
+  }
+  if(opts.createHabits){
+    const taken = new Set(habits.map(h => h.id));
+    for(const [k, u] of unknown){
+      let id = slugId(u.name), n = 2;
+      while(taken.has(id)) id = `${slugId(u.name)}-${n++}`;
+      taken.add(id);
+      const h = normalizeHabits([{ id, name: u.name, detail: guessCsvDetail(u.texts, u.numbers) }])[0];
+      out.newHabits.push(h);
+      byName.set(k, h);
+    }
+  }
+
+  for(const r of rows){
+    const date = csvDate(col(r, "date"));
+    const key = col(r, "habit");
+    const h = byId.get(key) || byName.get(key.toLowerCase());
+    if(!date || !h){
+      out.skipped += 1;
+      if(!date) out.badDates += 1;
+      continue;
+    }
+
+    const details = col(r, "details");
+    const num = csvNumber(col(r, "value"));
+    const cell = { done: false, value: null };
+    const p = parseDetail(h.detail, details);
+    if(details && p.ok){
+      cell.value = p.value;
+    }else if(Number.isFinite(num) && numericValue(h.detail, num) !== null){
+      cell.value = num;
+    }else if(details && h.detail.type !== "none"){
+      cell.text = details; // kept like other values that don't fit the type
+      out.asText += 1;
+    }
+    cell.done = map.done >= 0 ? csvDone(col(r, "done")) : (cell.value !== null || !!cell.text);
+
+    out.days[date] = out.days[date] || {};
+    out.days[date][h.id] = cell;
+    out.rows += 1;
+  }
+  return out;
+}
+
+async function applyCsvImport(res, name){
+  await takeImportSnapshot(name);
+  if(res.newHabits.length) await commitHabits([...getHabits(), ...res.newHabits]);
+  const dates = Object.keys(res.days);
+  const current = await getEntriesFor(dates);
+  const changed = {};
+  for(const date of dates){
+    const day = { ...(current[date] || {}) };
+    let touched = false;
+    for(const [id, cell] of Object.entries(res.days[date])){
+      if(day[id] ? sameCellContent(day[id], cell) : (!cell.done && cell.value === null && !cell.text)) continue;
+      day[id] = stampCell(cell, day[id]);
+      touched = true;
+    }
+    if(touched) changed[date] = day;
   }
+  await putEntries(changed);
+  Object.keys(changed).forEach(addPending);
+  flushPending().catch(()=>{});
+  return Object.keys(changed).length;
 }
 
-function cloudUserLabel(){
-  if(!fb?.user) return "Not signed in";
-  return fb.user.isAnonymous ? `Anonymous (${fb.user.uid.slice(0,8)}…)` : (fb.user.email || fb.user.uid);
+let csvImport = null; // { header, rows, name } of the file being mapped
+
+function csvMappingFromUI(){
+  const map = {};
+  for(const f of CSV_FIELDS) map[f.key] = Number($(`#csvMap-${f.key}`).value);
+  return map;
 }
 
-async function initFirebaseIfConfigured(){
-  if(fb.app && fb.db && fb.auth) return true;
+function renderCsvPreview(){
+  const map = csvMappingFromUI();
+  const missing = CSV_FIELDS.filter(f => f.required && map[f.key] < 0).map(f => f.label);
+  $("#btnCsvImport").disabled = missing.length > 0;
+  if(missing.length){
+    setStatus($("#csvStatus"), `Pick a column for: ${missing.join(", ")}.`, false);
+    return null;
+  }
+  const res = csvToEntries(csvImport.rows, map, { createHabits: $("#csvCreateHabits").checked });
+  const parts = [`${res.rows} row(s) on ${Object.keys(res.days).length} day(s)`];
+  if(res.newHabits.length) parts.push(`new habits: ${res.newHabits.map(h => h.name).join(", ")}`);
+  if(res.skipped) parts.push(`${res.skipped} skipped${res.badDates ? ` (${res.badDates} without a YYYY-MM-DD date)` : ""}`);
+  if(res.asText) parts.push(`${res.asText} detail(s) kept as plain text`);
+  setStatus($("#csvStatus"), parts.join(" · "), res.rows > 0);
+  return res;
+}
 
-  const local = getFirebaseLocal();
-  if(!local.firebaseConfigText?.trim()) return false;
+async function openCsvImport(file){
+  const table = parseCSV(await file.text());
+  if(table.length < 2){
+    alert("That CSV has no data rows.");
+    return;
+  }
+  csvImport = { header: table[0], rows: table.slice(1), name: file.name || "CSV" };
+  const guess = guessCsvMapping(csvImport.header);
 
-  const cfg = parseFirebaseConfig(local.firebaseConfigText);
+  const box = $("#csvMapping");
+  box.innerHTML = "";
+  for(const f of CSV_FIELDS){
+    const label = document.createElement("label");
+    label.innerHTML = `${escapeHtml(f.label)}${f.required ? "" : ` <span class="muted small">(optional)</span>`}
+      <select id="csvMap-${f.key}">
+        <option value="-1">${f.required ? "— pick a column —" : "— not in file —"}</option>
+        ${csvImport.header.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`).join("")}
+      </select>`;
+    label.querySelector("select").value = String(guess[f.key]);
+    label.querySelector("select").addEventListener("change", renderCsvPreview);
+    box.appendChild(label);
+  }
 
-  fb.app = initializeApp(cfg);
-  fb.auth = getAuth(fb.app);
-  fb.db = getFirestore(fb.app);
+  $("#csvPreview thead").innerHTML = `<tr>${csvImport.header.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr>`;
+  $("#csvPreview tbody").innerHTML = csvImport.rows.slice(0, 5)
+    .map(r => `<tr>${csvImport.header.map((_h, i) => `<td>${escapeHtml(r[i] ?? "")}</td>`).join("")}</tr>`)
+    .join("");
 
-  onAuthStateChanged(fb.auth, (user)=>{
-    fb.user = user || null;
-    const el = document.querySelector("#fbUserStatus");
-    if(el) el.textContent = cloudUserLabel();
-  });
+  renderCsvPreview();
+  openOverlay("#csvOverlay");
+}
 
-  // Auto sign-in (Anonymous) if needed
-  if(!fb.auth.currentUser){
-    await signInAnonymously(fb.auth);
-  }
+/* ---------------- Offline ----------------
+  sw.js precaches the app and its pinned CDN bundles, so the app starts
+  without a network; data is local anyway and edits wait in the pending
+  queue. A new sw.js installs in the background and waits: the user picks
+  when to reload into it (never mid-edit).
+*/
 
-  // Try flushing pending uploads when we come online
-  window.addEventListener("online", ()=>{ flushPending().catch(()=>{}); });
+let waitingWorker = null;
+let updateAccepted = false;
 
-  return true;
-}
+function registerServiceWorker(){
+  if(!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+  const offer = (worker)=>{
+    if(!worker || !navigator.serviceWorker.controller) return; // first install: nothing to update
+    waitingWorker = worker;
+    $("#updateBar").classList.remove("hidden");
+  };
+  navigator.serviceWorker.register("sw.js").then((reg)=>{
+    offer(reg.waiting);
+    reg.addEventListener("updatefound", ()=>{
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", ()=>{ if(worker.state === "installed") offer(worker); });
+    });
+  }).catch(e => console.warn("service worker registration failed", e));
 
-function requireCloud(){
-  if(!cloudIsConfigured()) throw new Error("Firebase not configured. Open Settings → Firebase sync and paste your config JSON.");
-  if(!fb.db || !fb.auth) throw new Error("Firebase not initialized yet.");
-  if(!fb.user) throw new Error("Not signed in yet.");
+  navigator.serviceWorker.addEventListener("controllerchange", ()=>{
+    if(updateAccepted) location.reload();
+  });
 }
 
-function habitsDocRef(){
-  requireCloud();
-  return doc(fb.db, "users", fb.user.uid, "app", "habits");
+function applyUpdate(){
+  if(!waitingWorker) return;
+  updateAccepted = true;
+  waitingWorker.postMessage({ type: "skipWaiting" });
 }
 
-function dayDocRef(date){
-  requireCloud();
-  return doc(fb.db, "users", fb.user.uid, "days", date);
+function renderOnlineState(){
+  const online = navigator.onLine;
+  $("#offlineBadge").classList.toggle("hidden", online);
+  for(const id of ["#btnTestApi", "#btnFbSignIn", "#btnFbCreateAccount", "#btnFbSignOut"]){
+    $(id).disabled = !online;
+  }
+  $("#fbOffline").classList.toggle("hidden", online);
 }
 
-async function cloudSaveHabits(){
-  requireCloud();
-  await setDoc(habitsDocRef(), { habits: getHabits(), updatedAt: serverTimestamp() }, { merge: true });
-}
+/* ---------------- Reminders ----------------
+  Per-habit reminder times, plus a summary at prefs.reminderSummary when
+  nothing has been logged today. There's no push server: the open app
+  (installed or in a tab) checks every REMINDER_CHECK_MS, and reminders that
+  came due while it was closed fire when it's next opened that day. Each
+  fires once a day, and not for habits already done or not due today.
+  Notifications are shown by the service worker; its "Mark done" action
+  posts back to the page (or opens it with ?markDone=) to save through
+  writeDayCells(). Without notification permission they show in the page.
+  Nothing happens while logged out or locked: reminders wait for the next
+  check after login, and mark-done requests are queued until then.
+  Times are wall-clock times in the home time zone, ordered within the
+  logical day, so with the day starting at 04:00 a 01:00 reminder fires
+  late that night rather than first thing.
+*/
+
+const REMINDER_CHECK_MS = 30 * 1000;
 
-async function cloudUpsertDay(date){
-  requireCloud();
-  const entries = getEntries();
-  const day = entries?.[date] || {};
-  await setDoc(dayDocRef(date), { date, day, updatedAt: serverTimestamp() }, { merge: true });
-  removePending(date);
+let reminderBusy = false;
+
+// Wall clock in the home time zone.
+function nowHHMM(){
+  return zonedDateTime(Date.now(), getPrefs().timeZone).time;
 }
 
-async function flushPending(){
-  if(!cloudIsConfigured()) return;
+function remindersSent(date){
+  const log = loadJSON(LS_KEYS.reminders, null);
+  return new Set(log?.date === date && Array.isArray(log.sent) ? log.sent : []);
+}
 
-  await initFirebaseIfConfigured();
-  if(!fb.user) return;
+// Reminders due at `time` on `date`: [{ key, title, body, habitId? }].
+async function dueReminders(date, time){
+  const sent = remindersSent(date);
+  const { dayStartHour } = getPrefs();
+  const reached = (hhmm) => minutesIntoDay(hhmm, dayStartHour) <= minutesIntoDay(time, dayStartHour);
+  const entries = await getEntries(scheduleWindow({ start: date, end: date }));
+  const day = entries[date] || {};
+  const out = [];
+  for(const h of getHabits()){
+    if(!h.reminder || !reached(h.reminder) || sent.has(h.id)) continue;
+    if(day[h.id]?.done || !isDueOn(h, date, entries)) continue;
+    const detail = h.detail.type === "none" ? "" : ` Log ${h.detail.label || "the details"} too.`;
+    out.push({ key: h.id, habitId: h.id, title: `Reminder: ${h.name}`, body: `Not done yet today.${detail}` });
+  }
+  const summary = getPrefs().reminderSummary;
+  const logged = Object.values(day).some(c => c.done || (c.value ?? null) !== null);
+  if(isHHMM(summary) && reached(summary) && !sent.has("summary") && !logged){
+    out.push({ key: "summary", title: "Nothing logged today", body: "Take a minute to tick off today's habits." });
+  }
+  return out;
+}
 
-  const p = getPending();
-  if(p.length === 0) return;
+async function checkReminders(){
+  if(!getPrefs().remindersOn || reminderBusy || !isSessionValid()) return;
+  reminderBusy = true;
+  try{
+    const date = todayISO();
+    const due = await dueReminders(date, nowHHMM());
+    if(!due.length) return;
+    saveJSON(LS_KEYS.reminders, { date, sent: [...remindersSent(date), ...due.map(r => r.key)] });
+    for(const r of due) await deliverReminder(r, date);
+  }catch(e){
+    console.warn("reminder check failed", e);
+  }finally{
+    reminderBusy = false;
+  }
+}
 
-  for(const date of p){
-    try{ await cloudUpsertDay(date); }catch(_e){ /* keep pending */ }
+async function deliverReminder(r, date){
+  if("Notification" in window && Notification.permission === "granted"){
+    const reg = await navigator.serviceWorker?.getRegistration().catch(()=> null);
+    if(reg){
+      await reg.showNotification(r.title, {
+        body: r.body,
+        tag: `ht-${date}-${r.key}`, // one per reminder, even with several tabs open
+        icon: "icon.svg",
+        data: { date, habitId: r.habitId || "" },
+        actions: r.habitId ? [{ action: "done", title: "Mark done" }] : []
+      });
+      return;
+    }
   }
+  showReminderToast(r, date);
 }
 
-async function cloudPullAll(){
-  requireCloud();
+function showReminderToast(r, date){
+  const el = document.createElement("div");
+  el.className = "toast";
+  el.innerHTML = `
+    <div><strong>${escapeHtml(r.title)}</strong></div>
+    <div class="muted small">${escapeHtml(r.body)}</div>
+    <div class="row">
+      ${r.habitId ? `<button class="btn btn-primary" data-done>Mark done</button>` : ""}
+      <button class="btn" data-close>Dismiss</button>
+    </div>
+  `;
+  el.querySelector("[data-close]").addEventListener("click", ()=> el.remove());
+  el.querySelector("[data-done]")?.addEventListener("click", ()=>{
+    el.remove();
+    requestMarkDone(date, r.habitId);
+  });
+  $("#toasts").appendChild(el);
+}
 
-  // Pull habits
-  const hSnap = await getDoc(habitsDocRef());
-  if(hSnap.exists()){
-    const remoteHabits = hSnap.data()?.habits;
-    if(Array.isArray(remoteHabits)) setHabits(remoteHabits);
+// "Mark done" from a reminder: the same save + sync path as the day form.
+async function markHabitDone(date, habitId){
+  const h = getHabits().find(x => x.id === habitId);
+  if(!h || !isISODate(date)) return;
+  try{
+    await writeDayCells(date, { [habitId]: { done: true } });
+    const res = await syncSavedDay(date);
+    setStatus($("#saveStatus"), `${h.name} marked done (${date}). ${res.msg}`, res.ok);
+    setTimeout(()=> setStatus($("#saveStatus"), ""), 2500);
+    renderAll();
+  }catch(e){
+    setStatus($("#saveStatus"), `Couldn't mark ${h.name} done: ${e.message}`, false);
   }
+}
 
-  // Pull all day docs
-  const entries = getEntries();
-  const col = collection(fb.db, "users", fb.user.uid, "days");
-  const daysSnap = await getDocs(col);
+// Mark-done requests that arrive while logged out or locked.
+const pendingMarkDone = [];
 
-  daysSnap.forEach(d=>{
-    const data = d.data() || {};
-    const date = data.date || d.id;
-    const day = data.day || {};
-    if(date) entries[date] = day;
-  });
+function requestMarkDone(date, habitId){
+  if(isSessionValid()) markHabitDone(date, habitId);
+  else pendingMarkDone.push({ date, habitId });
+}
 
-  setEntries(entries);
+// After a login: handle what waited for it.
+async function resumeReminders(){
+  for(const r of pendingMarkDone.splice(0)) await markHabitDone(r.date, r.habitId);
+  checkReminders();
 }
 
-async function cloudSyncNow(){
-  await initFirebaseIfConfigured();
-  requireCloud();
+function renderReminderPrefs(){
+  const prefs = getPrefs();
+  $("#prefReminders").checked = prefs.remindersOn;
+  $("#prefReminderSummary").value = prefs.reminderSummary;
+  let msg = "";
+  if(prefs.remindersOn){
+    if(!("Notification" in window)) msg = "This browser has no notifications: reminders show inside the app.";
+    else if(Notification.permission === "denied") msg = "Notifications are blocked for this site: reminders show inside the app.";
+    else if(Notification.permission === "default") msg = "Allow notifications to get reminders outside the app.";
+  }
+  setStatus($("#reminderStatus"), msg, true);
+}
 
-  // push pending first
-  await flushPending();
+function startReminders(){
+  navigator.serviceWorker?.addEventListener("message", (e)=>{
+    if(e.data?.type === "markDone") requestMarkDone(e.data.date, e.data.habitId);
+  });
+  const params = new URLSearchParams(location.search);
+  if(params.get("markDone")){
+    requestMarkDone(params.get("date"), params.get("markDone"));
+    history.replaceState(null, "", location.pathname + location.hash);
+  }
+  document.addEventListener("visibilitychange", ()=>{ if(!document.hidden) checkReminders(); });
+  setInterval(checkReminders, REMINDER_CHECK_MS);
+  checkReminders();
+}
 
-  // push habits (small)
-  await cloudSaveHabits();
+/* ---------------- Report link ----------------
+  The report view lives in the URL hash, so a bookmark opens the same view:
+    #range=30&habit=running&date=2025-03-01
+  `range` is a #rangeSelect preset or "start..end" for a custom range,
+  `habit` the Trends habit and `date` the day shown in the Today card
+  (left out when it's today).
+  Written with replaceState (no history entry per click); editing the hash
+  by hand re-renders.
+*/
 
-  // pull remote
-  await cloudPullAll();
+function reportHash(){
+  const sel = $("#rangeSelect").value;
+  const params = new URLSearchParams();
+  params.set("range", sel === "custom" ? `${$("#rangeStart").value}..${$("#rangeEnd").value}` : sel);
+  if($("#habitTrendSelect").value) params.set("habit", $("#habitTrendSelect").value);
+  if($("#datePicker").value && $("#datePicker").value !== todayISO()) params.set("date", $("#datePicker").value);
+  return "#" + params.toString();
 }
 
-/* ---------------- Export / Import ---------------- */
+function writeReportHash(){
+  const hash = reportHash();
+  if(hash !== location.hash) history.replaceState(null, "", location.pathname + location.search + hash);
+}
 
+// Apply the hash to the report controls; unknown or malformed values are ignored.
+function applyReportHash(){
+  const params = new URLSearchParams(location.hash.slice(1));
+
+  const range = params.get("range") || "";
+  const custom = range.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+  if(custom && isISODate(custom[1]) && isISODate(custom[2])){
+    showCustomRange({ start: custom[1], end: custom[2] });
+  }else if(range && range !== "custom" && [...$("#rangeSelect").options].some(o => o.value === range)){
+    $("#rangeSelect").value = range;
+    $("#rangeCustom").classList.add("hidden");
+  }
 
-function downloadFile(name, content, type){
-  const blob = new Blob([content], { type });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = name;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  const habit = params.get("habit");
+  if(habit && getHabits().some(h => h.id === habit)){
+    renderTrendSelect(getHabits());
+    $("#habitTrendSelect").value = habit;
+  }
+
+  const date = params.get("date");
+  $("#datePicker").value = isISODate(date) ? date : todayISO();
 }
 
-function exportJSON(){
-  const data = {
-    habits: getHabits(),
-    entries: getEntries(),
-    config: getConfig(),
-    exportedAt: new Date().toISOString()
-  };
-  downloadFile("habit-tracker-backup.json", JSON.stringify(data, null, 2), "application/json");
+/* ---------------- Home time zone and day start ----------------
+  "Today" is the date in prefs.timeZone (this device's zone when empty),
+  and hours before prefs.dayStartHour still belong to the previous date,
+  so logging at 1 a.m. lands on the evening before. Stored dates don't
+  change; only which date counts as today (and the reminder clock) does.
+*/
+
+function renderTimeZoneOptions(){
+  const current = getPrefs().timeZone;
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  if(isValidTimeZone(current) && !zones.includes(current)) zones.unshift(current);
+  $("#prefTimeZone").innerHTML =
+    `<option value="">This device (${escapeHtml(deviceTimeZone())})</option>` +
+    zones.map(z => `<option value="${escapeHtml(z)}">${escapeHtml(z.replace(/_/g, " "))}</option>`).join("");
+  $("#prefTimeZone").value = isValidTimeZone(current) ? current : "";
 }
 
-async function importJSONFile(file){
-  const txt = await file.text();
-  const data = JSON.parse(txt);
-  if(data.habits) setHabits(data.habits);
-  if(data.entries) setEntries(data.entries);
-  if(data.config) saveJSON(LS_KEYS.config, data.config);
+// Keep the date picker on "today" if that's where it was.
+function setDayPrefs(patch){
+  const before = todayISO();
+  setPrefs(patch);
+  if($("#datePicker").value === before) $("#datePicker").value = todayISO();
+  renderAll();
 }
 
 /* ---------------- Boot ---------------- */
 
+// Every re-render goes through renderAll(): renders run one at a time
+// (calls made while one is waiting share it), and a failure (storage,
+// decryption) is shown instead of becoming an unhandled rejection. The
+// promise never rejects.
+let renderChain = Promise.resolve();
+let renderWaiting = null;
+
 function renderAll(){
+  if(!renderWaiting){
+    renderWaiting = renderChain.then(()=>{
+      renderWaiting = null;
+      return renderAllNow();
+    }).catch((e)=>{
+      console.error("render failed", e);
+      setStatus($("#saveStatus"), `Couldn't show your data: ${e.message}`, false);
+    });
+    renderChain = renderWaiting;
+  }
+  return renderWaiting;
+}
+
+async function renderAllNow(){
   const date = $("#datePicker").value || todayISO();
   renderHabitsAdmin();
-  renderHabitsTable(date);
+  await renderHabitsTable(date);
 
-  const rangeVal = $("#rangeSelect").value;
-  const range = dateRangeFromSelection(rangeVal);
+  const range = await reportRange();
+  const entries = await getEntries(scheduleWindow(range));
 
-  const report = buildReport(range);
+  const report = buildReport(range, entries);
   renderQuickStats(report, range);
+  await renderStreakTable();
   renderCompletionChart(report);
-  renderTrend(range, $("#habitTrendSelect").value || getHabits()[0]?.id);
-  renderLogTable(range);
+  renderTrend(range, $("#habitTrendSelect").value || getHabits()[0]?.id, entries);
+  renderLogTable(range, entries);
+  await renderRollup(range);
+  await renderGoals();
+  await renderHeatmap();
+  writeReportHash();
 }
 
 function wire(){
   $("#datePicker").value = todayISO();
-  $("#datePicker").addEventListener("change", ()=> renderHabitsTable($("#datePicker").value));
+  applyReportHash();
+  $("#datePicker").addEventListener("change", ()=>{
+    renderHabitsTable($("#datePicker").value);
+    markHeatmapDate($("#datePicker").value);
+    writeReportHash();
+  });
+  window.addEventListener("hashchange", ()=>{
+    applyReportHash();
+    if(isSessionValid()) renderAll();
+  });
 
   $("#btnSaveDay").addEventListener("click", async ()=>{
     const date = $("#datePicker").value;
-    saveDay(date);
-
-    // queue for upload (in case you're offline)
-    addPending(date);
+    const res = await saveDay(date);
+    if(!res.ok){
+      setStatus($("#saveStatus"), res.msg, false);
+      return;
+    }
 
     setStatus($("#saveStatus"), "Saved locally. Syncing…", true);
-    try{
-      await initFirebaseIfConfigured();
-      if(cloudIsConfigured()){
-        await cloudUpsertDay(date);
-        await cloudSaveHabits();
-        setStatus($("#saveStatus"), "Saved + synced ✅", true);
-      }else{
-        setStatus($("#saveStatus"), "Saved locally ✅ (Cloud not configured)", true);
-      }
-    }catch(e){
-      setStatus($("#saveStatus"), "Saved locally ✅ (will sync later)", true);
-      console.warn("cloud sync failed", e);
-    }
+    const synced = await syncSavedDay(date);
+    setStatus($("#saveStatus"), synced.msg, synced.ok);
 
     setTimeout(()=> setStatus($("#saveStatus"), ""), 2500);
     renderAll();
   });
 
+  $("#btnOpenGrid").addEventListener("click", ()=> openGrid($("#datePicker").value || todayISO()));
+  $("#btnUndo").addEventListener("click", async ()=>{
+    try{
+      const res = await undoLastSave();
+      setStatus($("#saveStatus"), res.msg, res.ok);
+      renderAll();
+    }catch(e){
+      setStatus($("#saveStatus"), `Undo failed: ${e.message}`, false);
+    }
+  });
+  $("#btnDayHistory").addEventListener("click", async ()=>{
+    try{
+      await openDayHistory($("#datePicker").value || todayISO());
+    }catch(e){
+      setStatus($("#saveStatus"), `Couldn't read the history: ${e.message}`, false);
+    }
+  });
+  $("#btnHistoryClose").addEventListener("click", ()=> closeOverlay("#historyOverlay"));
+  $("#historyList").addEventListener("click", async (e)=>{
+    const btn = e.target.closest("[data-restore]");
+    if(!btn) return;
+    const date = $("#historyDate").textContent;
+    try{
+      const res = await restoreDayVersion(date, btn.dataset.restore || null);
+      setStatus($("#historyStatus"), res.msg, res.ok);
+      await renderDayHistory(date);
+      renderAll();
+    }catch(err){
+      setStatus($("#historyStatus"), `Restore failed: ${err.message}`, false);
+    }
+  });
+  $("#gridView").addEventListener("change", async ()=>{
+    if(gridDirty() && !confirm("Discard the changes you haven't saved?")){
+      $("#gridView").value = $("#gridView").value === "week" ? "month" : "week";
+      return;
+    }
+    await renderGrid();
+  });
+  $("#btnGridPrev").addEventListener("click", ()=> stepGrid(-1));
+  $("#btnGridNext").addEventListener("click", ()=> stepGrid(1));
+  $("#gridTable tbody").addEventListener("keydown", gridKeydown);
+  $("#gridTable tbody").addEventListener("input", (e)=> e.target.closest("td.grid-cell")?.classList.add("touched"));
+  $("#gridTable tbody").addEventListener("change", (e)=> e.target.closest("td.grid-cell")?.classList.add("touched"));
+  $("#btnGridWeekdays").addEventListener("click", ()=> selectGridDays(d => weekdayOf(d) >= 1 && weekdayOf(d) <= 5));
+  $("#btnGridAllDays").addEventListener("click", ()=> selectGridDays(()=> true));
+  $("#btnGridNoDays").addEventListener("click", ()=> selectGridDays(()=> false));
+  $("#btnGridDone").addEventListener("click", ()=> bulkGrid(true));
+  $("#btnGridUndone").addEventListener("click", ()=> bulkGrid(false));
+  $("#btnGridSave").addEventListener("click", saveGrid);
+  $("#btnGridClose").addEventListener("click", ()=>{
+    if(gridDirty() && !confirm("Discard the changes you haven't saved?")) return;
+    closeOverlay("#gridOverlay");
+  });
+
+  $("#btnConflictsMine").addEventListener("click", ()=> resolveConflicts("local"));
+  $("#btnConflictsTheirs").addEventListener("click", ()=> resolveConflicts("remote"));
+  $("#btnConflictsApply").addEventListener("click", ()=> resolveConflicts(null));
+  $("#btnConflictsLater").addEventListener("click", ()=> closeOverlay("#conflictOverlay"));
+
 $("#btnRefresh").addEventListener("click", renderAll);
-  $("#rangeSelect").addEventListener("change", renderAll);
+  $("#rangeSelect").addEventListener("change", ()=>{
+    if($("#rangeSelect").value === "custom"){
+      // start from the range shown until now
+      const shown = $("#quickStats").dataset.range?.split("..");
+      if(shown) showCustomRange({ start: shown[0], end: shown[1] });
+      $("#rangeCustom").classList.remove("hidden");
+    }else{
+      $("#rangeCustom").classList.add("hidden");
+    }
+    renderAll();
+  });
+  $("#rangeStart").addEventListener("change", renderAll);
+  $("#rangeEnd").addEventListener("change", renderAll);
+  $("#btnRangePrev").addEventListener("click", ()=> stepRange(-1));
+  $("#btnRangeNext").addEventListener("click", ()=> stepRange(1));
   $("#habitTrendSelect").addEventListener("change", renderAll);
+  $("#rollupPeriod").addEventListener("change", renderAll);
+  $("#rollupMetric").addEventListener("change", ()=>{ if(lastRollup) renderRollupChart(lastRollup); });
+
+  for(const id of ["#logHabit","#logState","#logDetails"]){
+    $(id).addEventListener("change", ()=>{ logView.page = 0; renderLogPage(); });
+  }
+  $("#logSearch").addEventListener("input", ()=>{ logView.page = 0; renderLogPage(); });
+  $("#btnLogPrev").addEventListener("click", ()=>{ logView.page -= 1; renderLogPage(); });
+  $("#btnLogNext").addEventListener("click", ()=>{ logView.page += 1; renderLogPage(); });
+  const sortLog = (e)=>{
+    const th = e.target.closest("th[data-sort]");
+    if(!th) return;
+    // dates start newest first, text columns A→Z
+    logView.dir = logView.sort === th.dataset.sort ? -logView.dir : (th.dataset.sort === "date" ? -1 : 1);
+    logView.sort = th.dataset.sort;
+    renderLogPage();
+  };
+  $("#logTable thead").addEventListener("click", sortLog);
+  $("#logTable thead").addEventListener("keydown", (e)=>{
+    if(e.key === "Enter" || e.key === " "){
+      e.preventDefault();
+      sortLog(e);
+    }
+  });
+  $("#logTable tbody").addEventListener("click", (e)=>{
+    const edit = e.target.closest("[data-log-edit]");
+    if(edit){
+      logView.editing = edit.dataset.logEdit;
+      renderLogPage();
+      $("#logDetail")?.focus();
+    }else if(e.target.closest("[data-log-cancel]")){
+      logView.editing = null;
+      renderLogPage();
+    }else if(e.target.closest("[data-log-save]")){
+      saveLogRow(e.target.closest("tr"));
+    }
+  });
+  $("#logTable tbody").addEventListener("keydown", (e)=>{
+    if(e.key === "Enter" && e.target.classList.contains("detailInput")) saveLogRow(e.target.closest("tr"));
+    if(e.key === "Escape" && logView.editing){
+      logView.editing = null;
+      renderLogPage();
+    }
+  });
+
+  $("#heatmapView").addEventListener("change", renderHeatmap);
+  $("#btnHeatPrev").addEventListener("click", ()=>{ heatmapYear -= 1; renderHeatmap(); });
+  $("#btnHeatNext").addEventListener("click", ()=>{ heatmapYear += 1; renderHeatmap(); });
+  $("#heatmap").addEventListener("mouseover", (e)=> showHeatTip(e.target.closest(".hm-cell")));
+  $("#heatmap").addEventListener("focusin", (e)=> showHeatTip(e.target.closest(".hm-cell")));
+  $("#heatmap").addEventListener("mouseleave", ()=> showHeatTip(null));
+  $("#heatmap").addEventListener("focusout", ()=> showHeatTip(null));
+  $("#heatmap").addEventListener("click", (e)=>{
+    const cell = e.target.closest(".hm-cell");
+    if(!cell) return;
+    $("#datePicker").value = cell.dataset.date;
+    renderHabitsTable(cell.dataset.date);
+    markHeatmapDate(cell.dataset.date);
+    writeReportHash();
+    $("#datePicker").scrollIntoView({ behavior: "smooth", block: "center" });
+  });
 
   $("#btnSettings").addEventListener("click", async ()=>{
     const local = getFirebaseLocal();
     $("#fbConfig").value = local.firebaseConfigText || "";
     $("#fbEmail").value = local.email || "";
     $("#fbPass").value = local.password || "";
-    try{ await initFirebaseIfConfigured(); }catch(_e){}
+    const cfg = getConfig();
+    $("#syncProvider").value = cfg.provider;
+    renderUndoImport();
+    renderCryptoBox();
+    $("#restUrl").value = cfg.apiUrl || "";
+    $("#restKey").value = cfg.apiKey || "";
+    syncProviderBoxes();
+    if(cfg.provider === "firebase"){
+      try{ await initFirebaseIfConfigured(); }catch(_e){}
+    }
     const el = $("#fbUserStatus");
     if(el) el.textContent = cloudUserLabel();
+    renderSyncStats();
     openOverlay("#settingsOverlay");
   });
   $("#btnCloseSettings").addEventListener("click", ()=> closeOverlay("#settingsOverlay"));
@@ -771,6 +4606,7 @@ $("#btnRefresh").addEventListener("click", renderAll);
     if(res.ok){
       showApp();
       renderAll();
+      resumeReminders();
     }else{
       alert(res.msg);
     }
@@ -790,41 +4626,102 @@ $("#btnRefresh").addEventListener("click", renderAll);
       closeOverlay("#settingsOverlay");
       showApp();
       renderAll();
+      resumeReminders();
     }
   });
 
-  $("#btnLogout").addEventListener("click", ()=>{
-    clearSession();
-    hideApp();
-    closeOverlay("#settingsOverlay");
+  $("#btnCryptoSave").addEventListener("click", async ()=>{
+    setStatus($("#cryptoStatus"), "Working…", true);
+    try{
+      const res = await saveEncryption($("#cryptoPass").value, $("#cryptoPass2").value, $("#cryptoRotate").checked);
+      setStatus($("#cryptoStatus"), res.msg, res.ok);
+      if(!res.ok) return;
+      $("#cryptoPass").value = "";
+      $("#cryptoPass2").value = "";
+      $("#cryptoRotate").checked = false;
+      renderCryptoBox();
+      if(cloudIsConfigured()){
+        await cloudSyncNow();
+        setStatus($("#cryptoStatus"), "Done ✅", true);
+      }
+      renderAll();
+    }catch(e){
+      setStatus($("#cryptoStatus"), e.message, false);
+    }
   });
 
-  $("#btnAddHabit").addEventListener("click", ()=>{
-    const name = $("#newHabitName").value.trim();
-    const hasText = $("#newHabitHasText").value === "true";
-    const textLabel = $("#newHabitTextLabel").value.trim();
+  $("#btnCryptoOff").addEventListener("click", async ()=>{
+    if(!confirm("Turn off encryption? Your data is stored and synced unencrypted again, and other devices turn it off at their next sync.")) return;
+    try{
+      const res = await disableEncryption();
+      setStatus($("#cryptoStatus"), res.msg, res.ok);
+      renderCryptoBox();
+      if(cloudIsConfigured()){
+        await cloudSyncNow();
+        setStatus($("#cryptoStatus"), "Done ✅", true);
+      }
+    }catch(e){
+      setStatus($("#cryptoStatus"), e.message, false);
+    }
+  });
+
+  $("#prefStreakGrace").value = String(getPrefs().streakGrace);
+  $("#prefStreakGrace").addEventListener("change", ()=>{
+    setPrefs({ streakGrace: parseInt($("#prefStreakGrace").value, 10) || 0 });
+    renderAll();
+  });
+  $("#prefSyncHistory").checked = !!getPrefs().syncHistory;
+  $("#prefSyncHistory").addEventListener("change", ()=>{
+    setPrefs({ syncHistory: $("#prefSyncHistory").checked });
+    // push the whole local history on the next sync
+    if($("#prefSyncHistory").checked) setLastSync({ historyPushedAt: 0 });
+  });
+  renderTimeZoneOptions();
+  $("#prefTimeZone").addEventListener("change", ()=> setDayPrefs({ timeZone: $("#prefTimeZone").value }));
+  $("#prefDayStart").value = String(getPrefs().dayStartHour);
+  $("#prefDayStart").addEventListener("change", ()=> setDayPrefs({ dayStartHour: parseInt($("#prefDayStart").value, 10) || 0 }));
+  $("#prefWeekStart").value = String(getPrefs().weekStart);
+  $("#prefWeekStart").addEventListener("change", ()=>{
+    setPrefs({ weekStart: parseInt($("#prefWeekStart").value, 10) || 0 });
+    renderAll();
+  });
+
+  $("#prefSessionHours").value = String(getPrefs().sessionHours);
+  $("#prefSessionHours").addEventListener("change", ()=>{
+    setPrefs({ sessionHours: parseInt($("#prefSessionHours").value, 10) || DEFAULT_PREFS.sessionHours });
+    if(isSessionValid()) setSession(); // the current login now lasts the new length
+    setStatus($("#credsStatus"), "Saved.", true);
+  });
+  $("#prefIdleLock").value = String(getPrefs().idleLockMinutes);
+  $("#prefIdleLock").addEventListener("change", ()=>{
+    setPrefs({ idleLockMinutes: parseInt($("#prefIdleLock").value, 10) || 0 });
+    setStatus($("#credsStatus"), "Saved.", true);
+  });
+
+  $("#btnLogout").addEventListener("click", lockApp);
 
-    if(!name){
-      setStatus($("#habitStatus"), "Habit name required.", false);
+  const newHabitForm = createHabitForm($("#newHabitForm"), "newHabit-", null);
+
+  $("#btnAddHabit").addEventListener("click", ()=>{
+    const fields = newHabitForm.read();
+    const err = validateHabitFields(fields);
+    if(err){
+      setStatus($("#habitStatus"), err, false);
       return;
     }
 
     const habits = getHabits();
-    const id = slugId(name);
+    const id = slugId(fields.name);
     if(habits.some(h => h.id === id)){
       setStatus($("#habitStatus"), "Habit id conflict. Try a slightly different name.", false);
       return;
     }
 
-    habits.push({ id, name, hasText, textLabel });
-    setHabits(habits);
-
-    $("#newHabitName").value = "";
-    $("#newHabitTextLabel").value = "";
-    $("#newHabitHasText").value = "false";
-
-    setStatus($("#habitStatus"), "Habit added.", true);
+    habits.push({ id, ...fields });
+    const written = commitHabits(habits);
+    newHabitForm.reset();
     renderAll();
+    written.then(()=> setStatus($("#habitStatus"), "Habit added.", true), habitSaveFailed);
   });
 
   $("#btnSaveApi").addEventListener("click", async ()=>{
@@ -849,14 +4746,74 @@ $("#btnRefresh").addEventListener("click", renderAll);
       const local = getFirebaseLocal();
       parseFirebaseConfig(local.firebaseConfigText);
       await initFirebaseIfConfigured();
-      requireCloud();
-      await cloudSaveHabits();
+      requireFirebase();
+      if(activeProvider() === firebaseProvider){
+        await cloudSaveHabits();
+      }else{
+        await firebaseProvider.getHabits();
+      }
       setStatus($("#apiStatus"), "OK ✅", true);
     }catch(e){
       setStatus($("#apiStatus"), e.message, false);
     }
   });
 
+  $("#syncProvider").addEventListener("change", ()=>{
+    setConfig({ provider: $("#syncProvider").value });
+    syncProviderBoxes();
+    setStatus($("#syncProviderStatus"), "Saved. Next sync does a full resync with this provider.", true);
+  });
+
+  $("#btnSaveRest").addEventListener("click", ()=>{
+    const apiUrl = $("#restUrl").value.trim();
+    if(apiUrl && !/^https?:\/\//i.test(apiUrl)){
+      setStatus($("#restStatus"), "URL must start with https:// (or http:// for a local server).", false);
+      return;
+    }
+    setConfig({ apiUrl, apiKey: $("#restKey").value.trim() });
+    setStatus($("#restStatus"), "Saved on this device.", true);
+  });
+
+  $("#btnTestRest").addEventListener("click", async ()=>{
+    setStatus($("#restStatus"), "Testing…", true);
+    try{
+      const res = await restCall("ping");
+      setStatus($("#restStatus"), `OK ✅${res.name ? ` (${res.name})` : ""}`, true);
+    }catch(e){
+      setStatus($("#restStatus"), e.message, false);
+    }
+  });
+
+  // Try flushing pending uploads when we come online
+  window.addEventListener("online", ()=>{
+    renderOnlineState();
+    flushPending().catch(()=>{});
+  });
+  window.addEventListener("offline", renderOnlineState);
+  renderOnlineState();
+
+  renderReminderPrefs();
+  $("#prefReminders").addEventListener("change", async ()=>{
+    const on = $("#prefReminders").checked;
+    setPrefs({ remindersOn: on });
+    if(on && "Notification" in window && Notification.permission === "default"){
+      await Notification.requestPermission();
+    }
+    renderReminderPrefs();
+    checkReminders();
+  });
+  $("#prefReminderSummary").addEventListener("change", ()=>{
+    const v = $("#prefReminderSummary").value;
+    setPrefs({ reminderSummary: isHHMM(v) ? v : "" });
+    renderReminderPrefs();
+  });
+  $("#btnTestReminder").addEventListener("click", ()=>{
+    deliverReminder({ key: "test", title: "Habit Tracker", body: "Reminders will look like this." }, todayISO());
+  });
+
+  $("#btnUpdateReload").addEventListener("click", applyUpdate);
+  $("#btnUpdateLater").addEventListener("click", ()=> $("#updateBar").classList.add("hidden"));
+
   $("#btnFbSignIn").addEventListener("click", async ()=>{
     try{
       setStatus($("#apiStatus"), "Signing in…", true);
@@ -911,43 +4868,140 @@ $("#btnSync").addEventListener("click", async ()=>{
     }
   });
 
+  $("#btnFullResync").addEventListener("click", async ()=>{
+    try{
+      setStatus($("#apiStatus"), "Full resync…", true);
+      await cloudSyncNow({ full: true });
+      setStatus($("#apiStatus"), "Full resync done ✅", true);
+      renderAll();
+    }catch(e){
+      setStatus($("#apiStatus"), `Resync failed: ${e.message}`, false);
+    }
+  });
+
 $("#btnExport").addEventListener("click", exportJSON);
   $("#btnExport2").addEventListener("click", exportJSON);
 
-  $("#btnImport").addEventListener("click", ()=> $("#fileImportMain").click());
-  $("#btnImport2").addEventListener("click", ()=> $("#fileImport").click());
+  $("#btnExportCsv").addEventListener("click", ()=> exportCSV($("#csvScope").value));
 
-  $("#fileImportMain").addEventListener("change", async (e)=>{
+  $("#btnDownloadReport").addEventListener("click", async ()=>{
+    const res = await downloadReport($("#reportFormat").value);
+    setStatus($("#reportStatus"), res.msg, res.ok);
+  });
+  $("#btnCopyReport").addEventListener("click", async ()=>{
+    const res = await copyReportMarkdown();
+    setStatus($("#reportStatus"), res.msg, res.ok);
+  });
+  for(const btn of $$("[data-chart-png]")){
+    btn.addEventListener("click", async ()=>{
+      const res = await downloadChartPNG(btn.dataset.chartPng);
+      if(!res.ok) alert(res.msg);
+    });
+  }
+  $("#btnImportCsv").addEventListener("click", ()=> $("#fileImportCsv").click());
+  $("#fileImportCsv").addEventListener("change", async (e)=>{
     const file = e.target.files?.[0];
-    if(!file) return;
-    await importJSONFile(file);
-    renderAll();
-    alert("Imported.");
     e.target.value = "";
+    if(!file) return;
+    try{
+      await openCsvImport(file);
+    }catch(err){
+      alert(`Couldn't read CSV: ${err.message}`);
+    }
+  });
+  $("#csvCreateHabits").addEventListener("change", renderCsvPreview);
+  $("#btnCsvCancel").addEventListener("click", ()=>{
+    csvImport = null;
+    closeOverlay("#csvOverlay");
+  });
+  $("#btnCsvImport").addEventListener("click", async ()=>{
+    const res = renderCsvPreview();
+    if(!res || !res.rows) return;
+    try{
+      const days = await applyCsvImport(res, csvImport.name);
+      csvImport = null;
+      closeOverlay("#csvOverlay");
+      renderAll();
+      alert(`Imported ${res.rows} row(s); ${days} day(s) changed.`);
+    }catch(e){
+      setStatus($("#csvStatus"), `Import failed: ${e.message}`, false);
+    }
   });
 
-  $("#fileImport").addEventListener("change", async (e)=>{
-    const file = e.target.files?.[0];
-    if(!file) return;
-    await importJSONFile(file);
+  $("#btnImport").addEventListener("click", ()=> $("#fileImportMain").click());
+  $("#btnImport2").addEventListener("click", ()=> $("#fileImport").click());
+
+  for(const input of [$("#fileImportMain"), $("#fileImport")]){
+    input.addEventListener("change", async (e)=>{
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if(file) await openImportWizard(file);
+    });
+  }
+
+  $("#btnImportDecrypt").addEventListener("click", decryptImport);
+  $("#importPass").addEventListener("keydown", (e)=>{ if(e.key === "Enter") decryptImport(); });
+
+  $("#btnImportCancel").addEventListener("click", ()=>{
+    pendingImport = null;
+    lockedImport = null;
+    closeOverlay("#importOverlay");
+  });
+
+  $("#btnImportApply").addEventListener("click", async ()=>{
+    if(!pendingImport) return;
+    const mode = $("input[name=importMode]:checked")?.value || "newer";
+    if(mode === "replace" && !confirm("Replace your whole log and habit list with this file? (A snapshot is kept so you can undo.)")) return;
+    try{
+      const days = await applyImport(mode);
+      closeOverlay("#importOverlay");
+      renderAll();
+      renderUndoImport();
+      alert(`Imported: ${days} day(s) written. You can undo this in Settings → Backup.`);
+    }catch(e){
+      setStatus($("#importStatus"), `Import failed: ${e.message}`, false);
+    }
+  });
+
+  $("#btnUndoImport").addEventListener("click", async ()=>{
+    const snap = await storage.getMeta("importSnapshot");
+    if(!snap) return;
+    if(!confirm(`Restore your data as it was on ${new Date(snap.takenAt).toLocaleString()}, before importing ${snap.source}? Anything changed since then is reverted too.`)) return;
+    try{
+      const res = await undoImport();
+      setStatus($("#backupStatus"), res.msg, res.ok);
+    }catch(e){
+      setStatus($("#backupStatus"), `Undo failed: ${e.message}`, false);
+    }
+    renderUndoImport();
     renderAll();
-    alert("Imported.");
-    e.target.value = "";
   });
 }
 
-(function init(){
-  ensureDefaults();
+(async function init(){
+  try{
+    if(encryptionEnabled()) await promptUnlock();
+    await ensureDefaults();
+  }catch(e){
+    // e.g. data from a newer app version: don't touch it
+    console.error("startup failed", e);
+    $("#fatalMsg").textContent = e.message;
+    $("#loginOverlay").classList.add("hidden");
+    openOverlay("#fatalOverlay");
+    return;
+  }
   wire();
+  startIdleLock();
+  registerServiceWorker();
+  startReminders();
 
   if(isSessionValid()){
     showApp();
     renderAll();
 
-    // Optional: auto-sync from Firebase if configured
-    if(cloudIsConfigured()){
-      initFirebaseIfConfigured()
-        .then(()=> cloudSyncNow())
+    // Optional: auto-sync if a cloud provider is configured
+    if(cloudIsConfigured() && navigator.onLine){
+      cloudSyncNow()
         .then(()=> renderAll())
         .catch((e)=> console.warn("auto cloud sync failed", e));
     }
@@ -0,0 +1,110 @@
+// Encryption primitives for the Habit Tracker (no DOM, no storage).
+//
+// AES-GCM with random data keys, wrapped by a key derived from the
+// passphrase (PBKDF2-SHA256, salted); see "Encryption" in app.js.
+//   sealed   { enc: 1, k: keyId, iv, ct }  base64; the additional data ties a
+//            payload to its place ("day:2024-01-31", "habits", …)
+//   header   { v, iterations, salt, keys: [{ id, iv, wrapped }], createdAt }
+// A keyring is { kek, salt, iterations, keys: [{ id, key }] }; keys[0] seals,
+// the others only open what was sealed before a rotation.
+
+export const CRYPTO_ITERATIONS = 310000;
+
+export function toBase64(bytes){
+  let s = "";
+  for(const b of new Uint8Array(bytes)) s += String.fromCharCode(b);
+  return btoa(s);
+}
+export function fromBase64(str){
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+export function randomBytes(n){
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+export const utf8 = (s) => new TextEncoder().encode(s);
+
+export async function derivePassphraseKey(passphrase, salt, iterations){
+  const base = await crypto.subtle.importKey("raw", utf8(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt", "wrapKey", "unwrapKey"]
+  );
+}
+
+export async function newDataKey(){
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  return { id: [...randomBytes(6)].map(b => b.toString(16).padStart(2,"0")).join(""), key };
+}
+
+export async function sealWith(key, keyId, value, aad){
+  const iv = randomBytes(12);
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: utf8(aad) }, key, utf8(JSON.stringify(value)));
+  return { enc: 1, k: keyId, iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+export async function openWith(key, sealed, aad){
+  const pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(sealed.iv), additionalData: utf8(aad) }, key, fromBase64(sealed.ct));
+  return JSON.parse(new TextDecoder().decode(pt));
+}
+
+export function isSealed(v){
+  return !!v && typeof v === "object" && v.enc === 1 && typeof v.ct === "string";
+}
+
+export async function newKeyring(passphrase, keys){
+  const salt = toBase64(randomBytes(16));
+  return { kek: await derivePassphraseKey(passphrase, salt, CRYPTO_ITERATIONS), salt, iterations: CRYPTO_ITERATIONS, keys };
+}
+
+export async function headerFor(ring){
+  const keys = [];
+  for(const { id, key } of ring.keys){
+    const iv = randomBytes(12);
+    const wrapped = await crypto.subtle.wrapKey("raw", key, ring.kek, { name: "AES-GCM", iv, additionalData: utf8(`key:${id}`) });
+    keys.push({ id, iv: toBase64(iv), wrapped: toBase64(wrapped) });
+  }
+  return { v: 1, iterations: ring.iterations, salt: ring.salt, keys, createdAt: Date.now() };
+}
+
+// Throws if `kek` doesn't match the header (wrong passphrase).
+export async function unwrapHeader(kek, header){
+  const keys = [];
+  for(const w of header.keys){
+    const key = await crypto.subtle.unwrapKey("raw", fromBase64(w.wrapped), kek,
+      { name: "AES-GCM", iv: fromBase64(w.iv), additionalData: utf8(`key:${w.id}`) },
+      { name: "AES-GCM" }, true, ["encrypt", "decrypt"]);
+    keys.push({ id: w.id, key });
+  }
+  return { kek, salt: header.salt, iterations: header.iterations, keys };
+}
+
+// Keyring for `header` if the passphrase is right, else null.
+export async function unlockHeader(header, passphrase){
+  try{
+    return await unwrapHeader(await derivePassphraseKey(passphrase, header.salt, header.iterations), header);
+  }catch(_e){
+    return null;
+  }
+}
+
+// Seal with the ring's newest key.
+export function sealValue(ring, value, aad){
+  const { id, key } = ring.keys[0];
+  return sealWith(key, id, value, aad);
+}
+
+// Open a sealed value with whichever key of the ring sealed it; anything
+// else is returned as is.
+export async function unsealValue(ring, value, aad, what = "Encrypted data"){
+  if(!isSealed(value)) return value;
+  const k = ring?.keys.find(k => k.id === value.k);
+  if(!k) throw new Error(`${what} is encrypted with a key this device doesn't have. Enter its passphrase in Settings → Encryption.`);
+  try{
+    return await openWith(k.key, value, aad);
+  }catch(_e){
+    throw new Error(`${what} couldn't be decrypted (damaged or altered).`);
+  }
+}
@@ -0,0 +1,171 @@
+// Calendar date helpers for the Habit Tracker (no DOM, no storage).
+//
+// Dates are "YYYY-MM-DD" strings: a calendar day, not an instant. All
+// arithmetic works on day numbers (days since 1970-01-01 in UTC), so it
+// never depends on the device's time zone, and DST changes can't skip or
+// repeat a day. Instants (Date.now()) only become dates in logicalDate(),
+// which reads the wall clock of the home time zone and counts the hours
+// before "day starts at" as part of the previous day.
+
+const DAY_MS = 86400000;
+
+export function isISODate(s){
+  if(typeof s !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(s + "T00:00:00Z");
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0,10) === s; // rejects 2024-02-30
+}
+
+function dayNumber(iso){
+  const [y, m, d] = iso.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function fromDayNumber(n){
+  return new Date(n * DAY_MS).toISOString().slice(0,10);
+}
+
+export function addDays(iso, n){
+  return fromDayNumber(dayNumber(iso) + n);
+}
+
+export function daysBetween(aISO, bISO){
+  return dayNumber(bISO) - dayNumber(aISO);
+}
+
+// 0 = Sunday … 6 = Saturday
+export function weekdayOf(iso){
+  return new Date(dayNumber(iso) * DAY_MS).getUTCDay();
+}
+
+// `month` is 1-based.
+export function daysInMonth(year, month){
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Same day of the month `n` months on, clamped to the month's last day.
+export function addMonths(iso, n){
+  const [y, m, d] = iso.split("-").map(Number);
+  const total = y * 12 + (m - 1) + n;
+  const year = Math.floor(total / 12), month = total - year * 12 + 1;
+  const day = Math.min(d, daysInMonth(year, month));
+  return `${String(year).padStart(4,"0")}-${String(month).padStart(2,"0")}-${String(day).padStart(2,"0")}`;
+}
+
+// Every date from start to end, both included.
+export function eachDate(startISO, endISO){
+  const out = [];
+  for(let n = dayNumber(startISO), last = dayNumber(endISO); n <= last; n++){
+    out.push(fromDayNumber(n));
+  }
+  return out;
+}
+
+// toLocaleDateString() for a calendar date; the same label in every zone.
+export function formatDate(iso, options = {}){
+  return new Date(dayNumber(iso) * DAY_MS).toLocaleDateString(undefined, { ...options, timeZone: "UTC" });
+}
+
+/* ---------------- Periods ----------------
+  Weeks start on `weekStart` (0 = Sunday, 1 = Monday); quarters and years
+  are calendar ones.
+*/
+
+// ISO 8601 week label: the week belongs to the year its Thursday falls in.
+export function isoWeekLabel(iso){
+  const thu = addDays(iso, 3 - (weekdayOf(iso) + 6) % 7);
+  const year = thu.slice(0,4);
+  const week = Math.floor(daysBetween(`${year}-01-01`, thu) / 7) + 1;
+  return `${year}-W${String(week).padStart(2,"0")}`;
+}
+
+export function periodStart(kind, iso, weekStart){
+  if(kind === "year") return `${iso.slice(0,4)}-01-01`;
+  if(kind === "quarter") return `${iso.slice(0,4)}-${String(Math.floor((Number(iso.slice(5,7)) - 1) / 3) * 3 + 1).padStart(2,"0")}-01`;
+  if(kind === "month") return `${iso.slice(0,7)}-01`;
+  return addDays(iso, -((weekdayOf(iso) - weekStart + 7) % 7));
+}
+
+export function periodEnd(kind, start){
+  if(kind === "year") return `${start.slice(0,4)}-12-31`;
+  if(kind === "month" || kind === "quarter") return addDays(addMonths(start, kind === "quarter" ? 3 : 1), -1);
+  return addDays(start, 6);
+}
+
+export function periodLabel(kind, start, weekStart){
+  if(kind === "year") return start.slice(0,4);
+  if(kind === "quarter") return `${start.slice(0,4)}-Q${Math.floor((Number(start.slice(5,7)) - 1) / 3) + 1}`;
+  if(kind === "month") return formatDate(start, { month: "short", year: "numeric" });
+  return weekStart === 1 ? isoWeekLabel(start) : `Week of ${start}`;
+}
+
+// Whole periods covering `range`, plus the one before it (for the first
+// period's change). Oldest first; nothing starts after `today`, so a range
+// that starts after `today` has none.
+export function rollupPeriods(kind, range, weekStart, today){
+  if(range.start > today) return [];
+  const last = range.end < today ? range.end : today;
+  const out = [];
+  let start = periodStart(kind, addDays(periodStart(kind, range.start, weekStart), -1), weekStart);
+  while(start <= last){
+    const end = periodEnd(kind, start);
+    out.push({ start, end: end < today ? end : today, label: periodLabel(kind, start, weekStart), partial: end > today });
+    start = addDays(end, 1);
+  }
+  return out;
+}
+
+/* ---------------- Time zones ---------------- */
+
+const formatters = new Map();
+
+function zoneFormatter(timeZone){
+  const key = timeZone || "";
+  if(!formatters.has(key)){
+    formatters.set(key, new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || undefined,
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", hourCycle: "h23"
+    }));
+  }
+  return formatters.get(key);
+}
+
+export function isValidTimeZone(tz){
+  if(typeof tz !== "string" || !tz) return false;
+  try{
+    zoneFormatter(tz);
+    return true;
+  }catch(e){
+    return false;
+  }
+}
+
+export function deviceTimeZone(){
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// Wall clock at instant `ms` in `timeZone` (falsy or unknown: the device's
+// zone): { date: "YYYY-MM-DD", time: "HH:MM" }.
+export function zonedDateTime(ms, timeZone){
+  const parts = {};
+  for(const p of zoneFormatter(isValidTimeZone(timeZone) ? timeZone : "").formatToParts(new Date(ms))){
+    parts[p.type] = p.value;
+  }
+  const hour = parts.hour === "24" ? "00" : parts.hour; // some engines still say 24:00
+  return { date: `${parts.year.padStart(4,"0")}-${parts.month}-${parts.day}`, time: `${hour}:${parts.minute}` };
+}
+
+// The date a moment is logged on: the home zone's date, minus one while
+// it's earlier than `dayStartHour` (0–23) there.
+export function logicalDate(ms, { timeZone = "", dayStartHour = 0 } = {}){
+  const { date, time } = zonedDateTime(ms, timeZone);
+  return Number(time.slice(0,2)) < dayStartHour ? addDays(date, -1) : date;
+}
+
+// Minutes from the start of the logical day to "HH:MM", for comparing
+// clock times within one logical day (01:00 comes after 23:00 when the
+// day starts at 04:00).
+export function minutesIntoDay(hhmm, dayStartHour = 0){
+  const [h, m] = hhmm.split(":").map(Number);
+  return ((h - dayStartHour) * 60 + m + 1440) % 1440;
+}
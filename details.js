@@ -0,0 +1,202 @@
+// Typed detail fields for the Habit Tracker (no DOM, no storage).
+//
+// Each habit has one typed detail field; entries store the parsed value:
+//   none      no details
+//   number    decimal with a unit (e.g. 5.2 km)       value: number
+//   duration  hh:mm                                    value: minutes
+//   count     whole number                             value: integer
+//   rating    1–5                                      value: integer
+//   choice    one of `choices`                         value: string
+//   text      free text                                value: string
+// Entries written before typed fields were `{done, text}`; see
+// migrations.js and cellValue().
+
+export const DETAIL_TYPES = ["none","number","duration","count","rating","choice","text"];
+export const DETAIL_TYPE_NAMES = {
+  none: "No details", number: "Number", duration: "Duration", count: "Count",
+  rating: "Rating 1–5", choice: "Choice", text: "Text"
+};
+
+export function normalizeDetail(d){
+  const src = (d && typeof d === "object") ? d : {};
+  const type = DETAIL_TYPES.includes(src.type) ? src.type : "none";
+  const choices = Array.isArray(src.choices)
+    ? [...new Set(src.choices.map(c => String(c ?? "").trim()).filter(Boolean))]
+    : [];
+  return {
+    type,
+    label: String(src.label || "").trim(),
+    unit: (type === "number" || type === "count") ? String(src.unit || "").trim() : "",
+    choices: type === "choice" ? choices : []
+  };
+}
+
+// Habits saved before typed fields had `hasText` + `textLabel`.
+export function legacyDetail(h){
+  return h.hasText ? { type: "text", label: h.textLabel } : { type: "none" };
+}
+
+export function parseNumberish(raw){
+  const m = String(raw).trim().match(/^(-?\d+(?:[.,]\d+)?)\s*([^\d\s].*)?$/);
+  if(!m) return null;
+  return { n: parseFloat(m[1].replace(",", ".")), unit: (m[2] || "").trim() };
+}
+
+export function sameUnit(a, b){
+  const norm = (u) => u.toLowerCase().replace(/\.$/, "").replace(/s$/, "");
+  return norm(a) === norm(b);
+}
+
+// Parse user input for a detail field. Empty input is valid (value null).
+export function parseDetail(detail, raw){
+  const txt = String(raw ?? "").trim();
+  if(!txt || detail.type === "none") return { ok:true, value:null };
+
+  switch(detail.type){
+    case "number": {
+      const p = parseNumberish(txt);
+      if(!p || !Number.isFinite(p.n)) return { ok:false, error:`“${txt}” is not a number.` };
+      if(p.unit && detail.unit && !sameUnit(p.unit, detail.unit)){
+        return { ok:false, error:`Expected ${detail.unit}, got “${p.unit}”.` };
+      }
+      if(p.unit && !detail.unit) return { ok:false, error:`“${txt}” is not a number.` };
+      return { ok:true, value:p.n };
+    }
+    case "duration": {
+      let m = txt.match(/^(\d+):([0-5]\d)$/);
+      if(m) return { ok:true, value: parseInt(m[1],10) * 60 + parseInt(m[2],10) };
+      m = txt.match(/^(\d+)\s*(?:m|min|mins|minutes)?$/i);
+      if(m) return { ok:true, value: parseInt(m[1],10) };
+      return { ok:false, error:`Use hh:mm for durations (got “${txt}”).` };
+    }
+    case "count": {
+      if(!/^\d+$/.test(txt)) return { ok:false, error:`Count must be a whole number (got “${txt}”).` };
+      return { ok:true, value: parseInt(txt,10) };
+    }
+    case "rating": {
+      const n = Number(txt);
+      if(!Number.isInteger(n) || n < 1 || n > 5) return { ok:false, error:"Rating must be 1–5." };
+      return { ok:true, value:n };
+    }
+    case "choice": {
+      const hit = detail.choices.find(c => c.toLowerCase() === txt.toLowerCase());
+      if(!hit) return { ok:false, error:`“${txt}” is not one of: ${detail.choices.join(", ")}.` };
+      return { ok:true, value:hit };
+    }
+    default:
+      return { ok:true, value:txt };
+  }
+}
+
+export function formatDuration(mins){
+  return `${Math.floor(mins / 60)}:${String(mins % 60).padStart(2,"0")}`;
+}
+
+// Value → text for inputs (`withUnit` false) and for display.
+export function formatDetail(detail, value, withUnit = true){
+  if(value === null || value === undefined || value === "") return "";
+  switch(detail.type){
+    case "number":
+    case "count": return withUnit && detail.unit ? `${value} ${detail.unit}` : String(value);
+    case "duration": return formatDuration(value);
+    case "rating": return withUnit ? `${value}/5` : String(value);
+    default: return String(value);
+  }
+}
+
+// Numeric view of a value for charts and sums (null for non-numeric types).
+export function numericValue(detail, value){
+  if(!["number","duration","count","rating"].includes(detail.type)) return null;
+  return Number.isFinite(value) ? value : null;
+}
+
+// Read a cell's typed value, tolerating legacy `{done, text}` cells that
+// still arrive from older devices or backups.
+export function cellValue(h, cell){
+  if(!cell) return null;
+  if("value" in cell) return cell.value ?? null;
+  if(!cell.text) return null;
+  const p = parseDetail(h.detail, cell.text);
+  return p.ok ? p.value : null;
+}
+
+/* Per-habit summary metric shown as a tile in the quick report:
+    sum / avg / minmax   numeric types only
+    count                number of days with a detail value
+    distinct             number of different values
+    none                 no tile */
+
+export const SUMMARY_KINDS = ["none","sum","avg","minmax","count","distinct"];
+export const SUMMARY_NAMES = {
+  none: "No tile", sum: "Total", avg: "Average", minmax: "Min – max",
+  count: "Days logged", distinct: "Distinct values"
+};
+
+export function defaultSummary(detail){
+  switch(detail.type){
+    case "number": case "duration": case "count": return "sum";
+    case "rating": return "avg";
+    case "choice": return "distinct";
+    case "text": return "count";
+    default: return "none";
+  }
+}
+
+export function summaryAllowed(kind, detail){
+  if(detail.type === "none") return kind === "none";
+  if(kind === "sum" || kind === "avg" || kind === "minmax") return numericValue(detail, 0) !== null;
+  return SUMMARY_KINDS.includes(kind);
+}
+
+export function normalizeSummary(kind, detail){
+  return kind && summaryAllowed(kind, detail) ? kind : defaultSummary(detail);
+}
+
+export function formatNumber(n){
+  return String(Math.round(n * 100) / 100);
+}
+
+// Format a numeric aggregate in the habit's own units.
+export function formatAmount(detail, n){
+  if(detail.type === "duration") return formatDuration(Math.round(n));
+  if(detail.type === "rating") return `${formatNumber(n)}/5`;
+  return detail.unit ? `${formatNumber(n)} ${detail.unit}` : formatNumber(n);
+}
+
+// Aggregate a habit's detail values ([{date, value}]) per its summary metric.
+// Returns { label, text, title? } or null when the habit has no tile.
+export function summarizeValues(h, values){
+  const kind = h.summary;
+  if(kind === "none") return null;
+  const nums = values.map(v => numericValue(h.detail, v.value)).filter(v => v !== null);
+  const label = `${h.name} · ${SUMMARY_NAMES[kind].toLowerCase()}`;
+
+  switch(kind){
+    case "sum":
+      return { label, text: formatAmount(h.detail, nums.reduce((a,b)=> a+b, 0)) };
+    case "avg":
+      return { label, text: nums.length ? formatAmount(h.detail, nums.reduce((a,b)=> a+b, 0) / nums.length) : "—" };
+    case "minmax":
+      return { label, text: nums.length ? `${formatAmount(h.detail, Math.min(...nums))} – ${formatAmount(h.detail, Math.max(...nums))}` : "—" };
+    case "distinct": {
+      const seen = [...new Set(values.map(v => formatDetail(h.detail, v.value)))];
+      return { label, text: String(seen.length), title: seen.join(", ") };
+    }
+    default:
+      return { label, text: String(values.length) };
+  }
+}
+
+export function describeDetail(detail){
+  const parts = [DETAIL_TYPE_NAMES[detail.type]];
+  if(detail.label) parts.push(detail.label);
+  if(detail.unit) parts.push(detail.unit);
+  if(detail.choices.length) parts.push(detail.choices.join(" / "));
+  return parts.join(" · ");
+}
+
+export function detailLabel(detail){
+  if(detail.type === "none") return "";
+  const extra = detail.unit ? ` (${detail.unit})` : "";
+  return (detail.label || DETAIL_TYPE_NAMES[detail.type]) + extra;
+}
@@ -0,0 +1,89 @@
+// Habit goals for the Habit Tracker (no DOM, no storage).
+//
+// A habit can carry a goal: a number of days done (`count`) or the total of
+// its numeric values (`sum`) per week, month, quarter, year or every N days
+// from `start`. Editing or removing a goal moves the old one to `goalLog`
+// (with `until`), so each closed period is judged by the goal that was in
+// force on its last day.
+
+import { isISODate, addDays, daysBetween, periodStart, periodEnd, periodLabel } from "./dates.js";
+import { parseDetail } from "./details.js";
+
+export const GOAL_PERIODS = { week: "week", month: "month", quarter: "quarter", year: "year", days: "custom period" };
+export const GOAL_HISTORY = 8;     // closed periods shown per goal
+export const GOAL_LOG_MAX = 20;    // replaced goals kept per habit
+
+export function goalSumAllowed(detail){
+  return ["number","duration","count"].includes(detail.type);
+}
+
+// `today` is the start of a goal that doesn't have one yet.
+export function normalizeGoal(g, detail, today){
+  if(!g || typeof g !== "object") return null;
+  const metric = g.metric === "sum" && goalSumAllowed(detail) ? "sum" : (g.metric === "count" ? "count" : "");
+  const target = Number(g.target);
+  if(!metric || !(target > 0)) return null;
+  const period = Object.hasOwn(GOAL_PERIODS, g.period) ? g.period : "month";
+  const out = {
+    metric,
+    target: metric === "count" ? Math.ceil(target) : target,
+    period,
+    days: Math.max(1, parseInt(g.days, 10) || 7),
+    start: isISODate(g.start) ? g.start : "",
+    since: isISODate(g.since) ? g.since : today
+  };
+  if(period === "days" && !out.start) out.start = out.since; // needs an anchor
+  if(isISODate(g.until)) out.until = g.until;
+  return out;
+}
+
+// Goal target as typed in the habit form (sums in the habit's own format,
+// e.g. "40 km" or "10:00"); NaN when it doesn't parse.
+export function parseGoalTarget(detail, metric, raw){
+  const txt = String(raw ?? "").trim();
+  if(metric === "count") return /^\d+$/.test(txt) ? parseInt(txt, 10) : NaN;
+  const p = parseDetail(detail, txt);
+  return p.ok && p.value !== null ? p.value : NaN;
+}
+
+export function sameGoal(a, b){
+  if(!a || !b) return !a && !b;
+  return a.metric === b.metric && a.target === b.target && a.period === b.period &&
+    (a.period !== "days" || (a.days === b.days && a.start === b.start));
+}
+
+export function goalPeriod(g, iso, weekStart){
+  if(g.period !== "days"){
+    const start = periodStart(g.period, iso, weekStart);
+    return { start, end: periodEnd(g.period, start), label: periodLabel(g.period, start, weekStart) };
+  }
+  const start = addDays(g.start, Math.floor(daysBetween(g.start, iso) / g.days) * g.days);
+  const end = addDays(start, g.days - 1);
+  return { start, end, label: `${start} → ${end}` };
+}
+
+// Closed periods of a habit's goals, newest first, each with the goal that
+// was in force on its last day.
+export function goalHistoryPeriods(h, today, weekStart, limit = GOAL_HISTORY){
+  const defs = [...h.goalLog, ...(h.goal ? [h.goal] : [])].reverse();
+  const out = [];
+  for(const g of defs){
+    const last = g.until ? addDays(g.until, -1) : addDays(goalPeriod(g, today, weekStart).start, -1);
+    let p = goalPeriod(g, last, weekStart);
+    if(p.end > last) p = goalPeriod(g, addDays(p.start, -1), weekStart);
+    while(out.length < limit && p.end >= g.since){
+      if(!out.some(o => o.start === p.start && o.end === p.end)) out.push({ ...p, goal: g });
+      p = goalPeriod(g, addDays(p.start, -1), weekStart);
+    }
+  }
+  return out;
+}
+
+// A changed or removed goal starts today; the one it replaces goes to the
+// log unless it was only set today.
+export function goalChange(old, fields, today){
+  const next = normalizeGoal(fields.goal, fields.detail || old.detail, today);
+  if(sameGoal(old.goal, next)) return { goal: old.goal };
+  if(!old.goal || old.goal.since >= today) return { goal: next && { ...next, since: old.goal?.since || today } };
+  return { goal: next && { ...next, since: today }, goalLog: [...old.goalLog, { ...old.goal, until: today }] };
+}
@@ -0,0 +1,124 @@
+// Sync merge for the Habit Tracker (no DOM, no storage).
+//
+// Every cell carries { updatedAt (ms), device } of its last edit. Locally a
+// cell also remembers `syncedRev`: the updatedAt of the version it last
+// agreed with the server on. Merging a local and a remote cell:
+//   same content            → nothing to do
+//   only one side changed   → that side wins
+//   both changed since sync → a true conflict, resolved by the user
+//   otherwise               → newest updatedAt wins
+// Deleted habits leave tombstones { [habitId]: deletedAt } so a pull from a
+// device that still has them doesn't bring them back.
+
+export function sameCellContent(a, b){
+  return !!a?.done === !!b?.done
+    && JSON.stringify(a?.value ?? null) === JSON.stringify(b?.value ?? null)
+    && (a?.text || "") === (b?.text || "");
+}
+
+export function isCellDirty(cell){
+  return (cell?.updatedAt || 0) > (cell?.syncedRev || 0);
+}
+
+// Latest cell revision in a day = the day's revision.
+export function dayRevision(day){
+  let rev = { updatedAt: 0, device: "" };
+  for(const cell of Object.values(day || {})){
+    if((cell?.updatedAt || 0) > rev.updatedAt) rev = { updatedAt: cell.updatedAt, device: cell.device || "" };
+  }
+  return rev;
+}
+
+// Day as stored remotely (no local-only bookkeeping).
+export function toRemoteDay(day){
+  const out = {};
+  for(const [hid, cell] of Object.entries(day || {})){
+    const { syncedRev: _s, ...rest } = cell || {};
+    out[hid] = rest;
+  }
+  return out;
+}
+
+export function markDaySynced(day){
+  for(const cell of Object.values(day || {})){
+    if(cell) cell.syncedRev = cell.updatedAt || 0;
+  }
+  return day;
+}
+
+/**
+ * Merge a remote day into a local one, cell by cell.
+ * Returns { day, conflicts, changed, needsPush }; conflicting cells keep the
+ * local value until resolved.
+ */
+export function mergeDay(date, local, remote){
+  const day = {};
+  const conflicts = [];
+  let changed = false, needsPush = false;
+
+  for(const hid of new Set([...Object.keys(local || {}), ...Object.keys(remote || {})])){
+    const L = local?.[hid];
+    const R = remote?.[hid];
+    if(!R){
+      day[hid] = L;
+      needsPush = true;
+      continue;
+    }
+    const rRev = R.updatedAt || 0;
+    if(!L){
+      day[hid] = { ...R, syncedRev: rRev };
+      changed = true;
+      continue;
+    }
+    if(sameCellContent(L, R)){
+      const newer = rRev > (L.updatedAt || 0) ? R : L;
+      day[hid] = { ...L, updatedAt: newer.updatedAt || 0, device: newer.device || "", syncedRev: rRev };
+      if(rRev < (L.updatedAt || 0)) needsPush = true;
+      continue;
+    }
+
+    const base = L.syncedRev || 0;
+    const localChanged = (L.updatedAt || 0) > base;
+    const remoteChanged = rRev > base;
+
+    if(localChanged && remoteChanged && R.device !== L.device){
+      day[hid] = L;
+      conflicts.push({ date, habitId: hid, local: L, remote: R });
+    }else if(localChanged && !remoteChanged){
+      day[hid] = L;
+      needsPush = true;
+    }else if(remoteChanged && !localChanged){
+      day[hid] = { ...R, syncedRev: rRev };
+      changed = true;
+    }else if(rRev >= (L.updatedAt || 0)){
+      day[hid] = { ...R, syncedRev: rRev };
+      changed = true;
+    }else{
+      day[hid] = L;
+      needsPush = true;
+    }
+  }
+  return { day, conflicts, changed, needsPush };
+}
+
+// Habit lists merge per habit (newest updatedAt wins); tombstones newer than
+// a habit remove it. Order follows whichever list was edited last.
+export function mergeHabits(localList, remoteList, localTomb, remoteTomb){
+  const tombstones = { ...(remoteTomb || {}) };
+  for(const [id, t] of Object.entries(localTomb || {})){
+    tombstones[id] = Math.max(tombstones[id] || 0, t || 0);
+  }
+
+  const stamp = (list) => Math.max(0, ...list.map(h => h.updatedAt || 0));
+  const [first, second] = stamp(remoteList) > stamp(localList) ? [remoteList, localList] : [localList, remoteList];
+  const byId = new Map();
+  for(const h of [...first, ...second]){
+    const prev = byId.get(h.id);
+    if(!prev || (h.updatedAt || 0) > (prev.updatedAt || 0)) byId.set(h.id, h);
+  }
+  const order = [...new Set([...first, ...second].map(h => h.id))];
+  const habits = order
+    .map(id => byId.get(id))
+    .filter(h => !(tombstones[h.id] && tombstones[h.id] >= (h.updatedAt || 0)));
+  return { habits, tombstones };
+}
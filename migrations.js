@@ -0,0 +1,99 @@
+// Data schema versions for the Habit Tracker (no DOM, no storage).
+//
+// Habits + entries carry a data schema version: in this browser (meta
+// "schema"), in backups (`schema`) and on every synced habits/day document.
+// Anything older is upgraded on read by running the migrations below in
+// order; anything newer is refused, since this version can't know what it
+// would lose. Data from before versioning has no tag and counts as v1;
+// every step must also accept already-upgraded data, because untagged v2
+// data exists too.
+//   1  original model: `hasText`/`textLabel` habits, `{done, text}` cells
+//   2  typed detail fields (`detail`, `{done, value}` cells)
+
+import { normalizeDetail, legacyDetail, parseNumberish, sameUnit, parseDetail } from "./details.js";
+
+export const DATA_SCHEMA = 2;
+
+// Each step gets the data and the habits in use on this device, for days
+// that come without their habit list.
+export const MIGRATIONS = [
+  {
+    to: 2,
+    up(data, localHabits){
+      if(!data.habits){
+        migrateCells(localHabits, data.entries); // days on their own: read them with today's habits
+        return data;
+      }
+      const up = migrateLegacyDetails(data.habits, data.entries);
+      return { ...data, habits: up.habits, entries: up.entries };
+    }
+  }
+];
+
+export function schemaOf(v){
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : 1;
+}
+
+export function assertKnownSchema(schema, what){
+  if(schemaOf(schema) > DATA_SCHEMA){
+    throw new Error(`${what} was saved by a newer version of Habit Tracker (data version ${schemaOf(schema)}; this copy understands up to ${DATA_SCHEMA}). Update the app (reload, or clear its cache) and try again.`);
+  }
+}
+
+// Upgrade { schema, habits (or null), entries } to DATA_SCHEMA. Upgraded
+// habits still need normalizeHabits() (app.js).
+export function migrateData(data, what, localHabits = []){
+  const from = schemaOf(data.schema);
+  assertKnownSchema(from, what);
+  let out = { ...data, entries: data.entries || {} };
+  for(const m of MIGRATIONS){
+    if(m.to > from) out = m.up(out, localHabits);
+  }
+  return { ...out, schema: DATA_SCHEMA };
+}
+
+// Convert legacy `{done, text}` cells to `{done, value}` in place.
+// Unparseable legacy text is kept in `text` so nothing is lost.
+function migrateCells(habits, entries){
+  const byId = new Map(habits.map(h => [h.id, h]));
+  let changed = false;
+  for(const day of Object.values(entries)){
+    if(!day || typeof day !== "object") continue;
+    for(const [hid, cell] of Object.entries(day)){
+      if(!cell || typeof cell !== "object" || "value" in cell) continue;
+      const h = byId.get(hid);
+      const p = h ? parseDetail(h.detail, cell.text) : { ok:false };
+      const next = { done: !!cell.done, value: p.ok ? p.value : null };
+      if(!p.ok && cell.text) next.text = String(cell.text);
+      day[hid] = next;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Upgrade pre-typed data: a legacy text habit whose history is all numbers
+// (e.g. "5", "5,2 km") becomes a number habit with its label as the unit;
+// everything else stays free text. Cells are migrated in place.
+function migrateLegacyDetails(rawHabits, entries){
+  const upgraded = rawHabits.map(h => {
+    if(!h || h.detail || !h.hasText) return h;
+    const texts = Object.values(entries)
+      .map(day => day?.[h.id]?.text)
+      .filter(t => typeof t === "string" && t.trim());
+    const unit = String(h.textLabel || "").trim();
+    const numeric = texts.length > 0 && texts.every(t => {
+      const p = parseNumberish(t);
+      return p && (!p.unit || !unit || sameUnit(p.unit, unit));
+    });
+    return numeric
+      ? { ...h, detail: { type: "number", unit } }
+      : { ...h, detail: { type: "text", label: unit } };
+  });
+  const habits = upgraded
+    .filter(h => h && typeof h === "object")
+    .map(h => ({ ...h, detail: normalizeDetail(h.detail || legacyDetail(h)) }));
+  const changed = migrateCells(habits, entries);
+  return { habits, entries, changed };
+}
@@ -0,0 +1,179 @@
+// Habit schedules and streaks for the Habit Tracker (no DOM, no storage).
+//
+// `h.schedule` is a normalized schedule (see "Schedules" in app.js) and
+// entries are { "YYYY-MM-DD": { [habitId]: { done, … } } }. Dates are
+// calendar dates, compared as strings (see dates.js).
+
+import { isISODate, addDays, daysBetween, weekdayOf, daysInMonth } from "./dates.js";
+
+export function isQuotaSchedule(s){
+  return s.kind === "perWeek" || s.kind === "perMonth";
+}
+
+// Key of the quota period containing `iso` (Monday of the week, or YYYY-MM).
+function schedulePeriodKey(s, iso){
+  if(s.kind === "perMonth") return iso.slice(0,7);
+  return addDays(iso, -((weekdayOf(iso) + 6) % 7));
+}
+
+function schedulePeriodLength(s, iso){
+  if(s.kind === "perMonth"){
+    const [y, m] = iso.split("-").map(Number);
+    return daysInMonth(y, m);
+  }
+  return 7;
+}
+
+export function habitActiveOn(h, iso){
+  if(h.archivedAt && iso >= h.archivedAt) return false;
+  const s = h.schedule;
+  if(s.start && iso < s.start) return false;
+  if(s.pauseFrom && iso >= s.pauseFrom && (!s.pauseTo || iso <= s.pauseTo)) return false;
+  return true;
+}
+
+// Day-level check. Quota schedules can be done on any active day, so they
+// are "scheduled" everywhere and their due-ness depends on progress instead.
+export function isScheduledOn(h, iso){
+  if(!habitActiveOn(h, iso)) return false;
+  const s = h.schedule;
+  if(s.kind === "weekdays") return s.weekdays.includes(weekdayOf(iso));
+  if(s.kind === "everyN") return daysBetween(s.start, iso) % s.every === 0;
+  return true;
+}
+
+export function periodDoneCount(h, iso, entries, excludeDate){
+  const s = h.schedule;
+  const first = schedulePeriodKey(s, iso);
+  const start = s.kind === "perMonth" ? first + "-01" : first;
+  const len = schedulePeriodLength(s, iso);
+  let n = 0;
+  for(let i = 0; i < len; i++){
+    const d = addDays(start, i);
+    if(d === excludeDate || !habitActiveOn(h, d)) continue;
+    if(entries[d]?.[h.id]?.done) n += 1;
+  }
+  return n;
+}
+
+// Is the habit expected on this date? For quota schedules that means the
+// period's quota isn't already met on the other days of the period.
+export function isDueOn(h, iso, entries){
+  if(!isScheduledOn(h, iso)) return false;
+  if(!isQuotaSchedule(h.schedule)) return true;
+  return periodDoneCount(h, iso, entries, iso) < h.schedule.times;
+}
+
+// Expected vs. achieved completions over a list of dates.
+// Partial quota periods at the range edges get a pro-rated target.
+export function scheduleTally(h, dates, entries){
+  const s = h.schedule;
+  let due = 0, done = 0;
+
+  if(!isQuotaSchedule(s)){
+    for(const date of dates){
+      if(!isScheduledOn(h, date)) continue;
+      due += 1;
+      if(entries[date]?.[h.id]?.done) done += 1;
+    }
+    return { due, done };
+  }
+
+  const periods = new Map();
+  for(const date of dates){
+    if(!habitActiveOn(h, date)) continue;
+    const key = schedulePeriodKey(s, date);
+    const p = periods.get(key) || { days:0, done:0, len: schedulePeriodLength(s, date) };
+    p.days += 1;
+    if(entries[date]?.[h.id]?.done) p.done += 1;
+    periods.set(key, p);
+  }
+  for(const p of periods.values()){
+    const target = Math.min(s.times, Math.ceil(s.times * p.days / p.len));
+    due += target;
+    done += Math.min(p.done, target);
+  }
+  return { due, done };
+}
+
+// Quota schedules look at whole weeks/months, so widen a range by a month
+// each way before loading the entries it needs.
+export function scheduleWindow(range){
+  return { start: addDays(range.start, -31), end: addDays(range.end, 31) };
+}
+
+/* ---------------- Streaks ----------------
+  Day-based schedules count consecutive completions on due days; rest days
+  neither extend nor break a run, and today only counts once it's done.
+  Quota schedules (N per week/month) count consecutive periods that met
+  their quota instead. `grace` missed due days within any 7-day window are
+  forgiven (they don't add to the run, but don't end it either).
+*/
+
+export function computeStreaks(habits, entries, { today, grace = 0 }){
+  grace = Math.max(0, grace);
+  const dates = Object.keys(entries).filter(isISODate).sort();
+  const out = new Map();
+
+  for(const h of habits){
+    let first = dates.find(d => entries[d]?.[h.id]) || today;
+    if(h.schedule.start && h.schedule.start < first) first = h.schedule.start;
+    if(first > today) first = today;
+
+    let lastDone = "";
+    for(let i = dates.length - 1; i >= 0; i--){
+      if(dates[i] <= today && entries[dates[i]]?.[h.id]?.done){ lastDone = dates[i]; break; }
+    }
+
+    const res = isQuotaSchedule(h.schedule)
+      ? periodStreak(h, entries, first, today)
+      : dayStreak(h, entries, first, today, grace);
+
+    out.set(h.id, {
+      ...res,
+      lastDone,
+      daysSince: lastDone ? daysBetween(lastDone, today) : null
+    });
+  }
+  return out;
+}
+
+function dayStreak(h, entries, first, today, grace){
+  let run = 0, longest = 0, misses = [];
+  for(let d = first; d <= today; d = addDays(d, 1)){
+    if(!isScheduledOn(h, d)) continue;
+    if(entries[d]?.[h.id]?.done){
+      run += 1;
+    }else if(d !== today){
+      misses = misses.filter(m => daysBetween(m, d) < 7);
+      if(misses.length < grace){
+        misses.push(d);
+      }else{
+        run = 0;
+        misses = [];
+      }
+    }
+    longest = Math.max(longest, run);
+  }
+  return { current: run, longest, unit: "day" };
+}
+
+function periodStreak(h, entries, first, today){
+  const s = h.schedule;
+  let run = 0, longest = 0;
+  let d = first;
+  while(d <= today){
+    const key = schedulePeriodKey(s, d);
+    const dates = [];
+    for(; d <= today && schedulePeriodKey(s, d) === key; d = addDays(d, 1)) dates.push(d);
+    const { due, done } = scheduleTally(h, dates, entries);
+    const open = d > today; // the period containing today isn't over yet
+    if(due > 0 && done >= due){
+      run += 1;
+    }else if(due > 0 && !open){
+      run = 0;
+    }
+    longest = Math.max(longest, run);
+  }
+  return { current: run, longest, unit: s.kind === "perMonth" ? "month" : "week" };
+}
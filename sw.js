@@ -0,0 +1,109 @@
+// Service worker: precaches the app and its pinned CDN bundles so the app
+// starts offline. The pinned bundles never change and are served
+// cache-first; the app's own files are served from the cache and refreshed
+// in the background, so a release that forgets to bump VERSION still
+// arrives on the next start. Bump VERSION with every release anyway (and
+// keep the CDN URLs in sync with index.html / app.js); the app then offers
+// to reload into the new version right away.
+
+const VERSION = "3";
+const CACHE = `habit-tracker-v${VERSION}`;
+
+const CDN = [
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js",
+  "https://www.gstatic.com/firebasejs/12.7.0/firebase-app.js",
+  "https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js",
+  "https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js"
+];
+
+const PRECACHE = [
+  "./",
+  "index.html",
+  "app.js",
+  "dates.js",
+  "details.js",
+  "migrations.js",
+  "crypto.js",
+  "schedules.js",
+  "goals.js",
+  "merge.js",
+  "styles.css",
+  "manifest.webmanifest",
+  "icon.svg",
+  ...CDN
+];
+
+// pinned directories: anything a bundle loads next to itself is cached too
+const CDN_DIRS = CDN.map(u => u.slice(0, u.lastIndexOf("/") + 1));
+
+self.addEventListener("install", (e)=>{
+  // no skipWaiting(): the page asks the user before switching versions
+  e.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (e)=>{
+  e.waitUntil((async ()=>{
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith("habit-tracker-") && k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (e)=>{
+  if(e.data?.type === "skipWaiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (e)=>{
+  const req = e.request;
+  if(req.method !== "GET") return;
+  const url = new URL(req.url);
+  // only the app itself and the pinned bundles; Firestore, the sync API
+  // and everything else go straight to the network
+  if(url.origin === location.origin) e.respondWith(staleWhileRevalidate(e, req));
+  else if(CDN_DIRS.some(dir => req.url.startsWith(dir))) e.respondWith(cacheFirst(req));
+});
+
+async function fetchAndCache(req, key = req){
+  const res = await fetch(req);
+  if(res.ok && (res.type === "basic" || res.type === "cors")){
+    const cache = await caches.open(CACHE);
+    await cache.put(key, res.clone());
+  }
+  return res;
+}
+
+async function cacheFirst(req){
+  const cached = await caches.match(req, { ignoreSearch: true });
+  return cached || fetchAndCache(req);
+}
+
+// Navigations all show index.html, so that's the copy kept fresh for them.
+async function staleWhileRevalidate(e, req){
+  const key = req.mode === "navigate" ? "index.html" : req;
+  const cached = await caches.match(key, { ignoreSearch: true });
+  const fresh = fetchAndCache(req.mode === "navigate" ? "index.html" : req, key);
+  if(!cached) return fresh;
+  e.waitUntil(fresh.catch(()=>{}));
+  return cached;
+}
+
+// Reminder notifications (shown by the page, see "Reminders" in app.js).
+// "Mark done" is handed to an open window, or opens one, so the entry is
+// saved and synced by the app's own save path.
+self.addEventListener("notificationclick", (e)=>{
+  e.notification.close();
+  const { date, habitId } = e.notification.data || {};
+  e.waitUntil((async ()=>{
+    const wins = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if(e.action === "done" && habitId){
+      if(wins.length){
+        wins[0].postMessage({ type: "markDone", date, habitId });
+        return;
+      }
+      await self.clients.openWindow(`./?markDone=${encodeURIComponent(habitId)}&date=${encodeURIComponent(date)}`);
+      return;
+    }
+    if(wins.length) await wins[0].focus();
+    else await self.clients.openWindow("./");
+  })());
+});
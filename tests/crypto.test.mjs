@@ -0,0 +1,46 @@
+// Encryption tests (crypto.js). Run with `node --test tests/`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newDataKey, newKeyring, headerFor, unlockHeader, sealValue, unsealValue, isSealed } from "../crypto.js";
+
+const day = { run: { done: true, value: 5.2, updatedAt: 1, device: "d" } };
+
+test("sealed values open again with the same place only", async ()=>{
+  const ring = await newKeyring("correct horse", [await newDataKey()]);
+  const sealed = await sealValue(ring, day, "day:2024-01-31");
+  assert.equal(isSealed(sealed), true);
+  assert.equal(sealed.k, ring.keys[0].id);
+  assert.equal(JSON.stringify(sealed).includes("5.2"), false);
+  assert.deepEqual(await unsealValue(ring, sealed, "day:2024-01-31"), day);
+  // moved to another date: the additional data no longer matches
+  await assert.rejects(unsealValue(ring, sealed, "day:2024-02-01", "The entry"), /The entry couldn't be decrypted/);
+  // plain values pass through
+  assert.deepEqual(await unsealValue(null, day, "day:2024-01-31"), day);
+});
+
+test("the header unlocks with the passphrase only", async ()=>{
+  const ring = await newKeyring("correct horse", [await newDataKey()]);
+  const header = await headerFor(ring);
+  assert.equal(await unlockHeader(header, "wrong horse"), null);
+  const again = await unlockHeader(header, "correct horse");
+  const sealed = await sealValue(ring, day, "habits");
+  assert.deepEqual(await unsealValue(again, sealed, "habits"), day);
+});
+
+test("after a rotation the new key seals and old data still opens", async ()=>{
+  const old = await newKeyring("first pass", [await newDataKey()]);
+  const before = await sealValue(old, day, "day:2024-01-31");
+
+  const rotated = await newKeyring("second pass", [await newDataKey(), ...old.keys]);
+  const ring = await unlockHeader(await headerFor(rotated), "second pass");
+  assert.deepEqual(ring.keys.map(k => k.id), rotated.keys.map(k => k.id));
+
+  const after = await sealValue(ring, day, "day:2024-02-01");
+  assert.equal(after.k, rotated.keys[0].id);
+  assert.notEqual(after.k, before.k);
+  assert.deepEqual(await unsealValue(ring, before, "day:2024-01-31"), day);
+  assert.deepEqual(await unsealValue(ring, after, "day:2024-02-01"), day);
+  // a device that only has the old key can't read the new data
+  await assert.rejects(unsealValue(old, after, "day:2024-02-01", "The entry"), /a key this device doesn't have/);
+});
@@ -0,0 +1,175 @@
+// Date logic tests (dates.js). No dependencies: run with
+//
+//   node --test tests/
+//
+// Calendar arithmetic must give the same answer whatever the device's time
+// zone is, so those tests run under several process zones, including ones
+// with DST changes at midnight (Sao Paulo), half-hour DST (Lord Howe) and a
+// skipped calendar day (Apia, 2011-12-30).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isISODate, addDays, daysBetween, weekdayOf, daysInMonth, addMonths, eachDate, formatDate, rollupPeriods,
+  isValidTimeZone, zonedDateTime, logicalDate, minutesIntoDay
+} from "../dates.js";
+
+const ZONES = ["UTC", "America/New_York", "Europe/Berlin", "America/Sao_Paulo", "Australia/Lord_Howe", "Pacific/Apia", "Asia/Kolkata"];
+
+function inEachZone(fn){
+  const saved = process.env.TZ;
+  try{
+    for(const tz of ZONES){
+      process.env.TZ = tz;
+      fn(tz);
+    }
+  }finally{
+    if(saved === undefined) delete process.env.TZ;
+    else process.env.TZ = saved;
+  }
+}
+
+const at = (iso) => Date.parse(iso);
+
+test("isISODate accepts real calendar dates only", ()=>{
+  assert.equal(isISODate("2024-02-29"), true);
+  assert.equal(isISODate("2023-02-29"), false);
+  assert.equal(isISODate("2024-13-01"), false);
+  assert.equal(isISODate("2024-1-01"), false);
+  assert.equal(isISODate(null), false);
+});
+
+test("addDays and daysBetween step whole days across DST changes", ()=>{
+  inEachZone((tz)=>{
+    // US and EU changes, Sao Paulo's midnight change, Lord Howe's half hour
+    for(const [from, to] of [["2026-03-07", "2026-03-09"], ["2026-10-31", "2026-11-02"], ["2026-03-28", "2026-03-30"],
+      ["2026-10-24", "2026-10-26"], ["2018-11-03", "2018-11-05"], ["2019-02-16", "2019-02-18"], ["2026-04-04", "2026-04-06"]]){
+      assert.equal(addDays(from, 1), eachDate(from, to)[1], `${from} in ${tz}`);
+      assert.equal(addDays(from, 2), to, `${from} in ${tz}`);
+      assert.equal(addDays(to, -2), from, `${to} in ${tz}`);
+      assert.equal(daysBetween(from, to), 2, `${from} in ${tz}`);
+    }
+    assert.equal(addDays("2024-12-31", 1), "2025-01-01");
+    assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+    assert.equal(daysBetween("2024-01-01", "2025-01-01"), 366);
+    assert.equal(daysBetween("2025-01-01", "2024-01-01"), -366);
+  });
+});
+
+test("eachDate lists every calendar day once", ()=>{
+  inEachZone((tz)=>{
+    const year = eachDate("2026-01-01", "2026-12-31");
+    assert.equal(year.length, 365, tz);
+    assert.equal(new Set(year).size, 365, tz);
+    assert.equal(year[year.length - 1], "2026-12-31", tz);
+    assert.equal(eachDate("2024-01-01", "2024-12-31").length, 366, tz);
+    // Apia skipped its 2011-12-30, but the calendar date still exists
+    assert.deepEqual(eachDate("2011-12-29", "2011-12-31"), ["2011-12-29", "2011-12-30", "2011-12-31"], tz);
+    assert.deepEqual(eachDate("2018-11-03", "2018-11-05"), ["2018-11-03", "2018-11-04", "2018-11-05"], tz);
+    // a 23-hour and a 25-hour day: stepping by 86400000 ms skipped / repeated these
+    assert.deepEqual(eachDate("2019-02-15", "2019-02-18"), ["2019-02-15", "2019-02-16", "2019-02-17", "2019-02-18"], tz);
+    assert.deepEqual(eachDate("2026-03-02", "2026-03-01"), [], tz);
+  });
+});
+
+test("weekdayOf doesn't depend on the device zone", ()=>{
+  inEachZone((tz)=>{
+    assert.equal(weekdayOf("2026-03-08"), 0, tz); // US DST change, a Sunday
+    assert.equal(weekdayOf("2018-11-04"), 0, tz); // Sao Paulo's missing midnight
+    assert.equal(weekdayOf("2026-10-19"), 1, tz);
+    assert.equal(weekdayOf("2000-02-29"), 2, tz);
+  });
+});
+
+test("addMonths clamps to the end of shorter months", ()=>{
+  inEachZone((tz)=>{
+    assert.equal(addMonths("2024-01-31", 1), "2024-02-29", tz);
+    assert.equal(addMonths("2023-01-31", 1), "2023-02-28", tz);
+    assert.equal(addMonths("2024-03-31", -1), "2024-02-29", tz);
+    assert.equal(addMonths("2026-11-15", 2), "2027-01-15", tz);
+    assert.equal(addMonths("2026-01-15", -13), "2024-12-15", tz);
+    assert.equal(addMonths("2026-03-01", 12), "2027-03-01", tz);
+  });
+  assert.equal(daysInMonth(2024, 2), 29);
+  assert.equal(daysInMonth(2100, 2), 28);
+  assert.equal(daysInMonth(2026, 12), 31);
+});
+
+test("formatDate labels a date the same in every zone", ()=>{
+  const labels = new Set();
+  inEachZone(()=> labels.add(formatDate("2026-03-01", { month: "short", year: "numeric" })));
+  assert.equal(labels.size, 1);
+});
+
+test("zonedDateTime reads the wall clock of a zone around DST changes", ()=>{
+  const ny = "America/New_York";
+  // spring forward: 01:59 EST, then 03:00 EDT
+  assert.deepEqual(zonedDateTime(at("2026-03-08T06:59:00Z"), ny), { date: "2026-03-08", time: "01:59" });
+  assert.deepEqual(zonedDateTime(at("2026-03-08T07:00:00Z"), ny), { date: "2026-03-08", time: "03:00" });
+  // fall back: 01:30 happens twice
+  assert.deepEqual(zonedDateTime(at("2026-11-01T05:30:00Z"), ny), { date: "2026-11-01", time: "01:30" });
+  assert.deepEqual(zonedDateTime(at("2026-11-01T06:30:00Z"), ny), { date: "2026-11-01", time: "01:30" });
+  // Sao Paulo 2018: midnight didn't exist
+  assert.deepEqual(zonedDateTime(at("2018-11-04T02:59:00Z"), "America/Sao_Paulo"), { date: "2018-11-03", time: "23:59" });
+  assert.deepEqual(zonedDateTime(at("2018-11-04T03:00:00Z"), "America/Sao_Paulo"), { date: "2018-11-04", time: "01:00" });
+  // Apia jumped from 2011-12-29 straight to 2011-12-31
+  assert.deepEqual(zonedDateTime(at("2011-12-30T09:59:00Z"), "Pacific/Apia"), { date: "2011-12-29", time: "23:59" });
+  assert.deepEqual(zonedDateTime(at("2011-12-30T10:00:00Z"), "Pacific/Apia"), { date: "2011-12-31", time: "00:00" });
+  assert.equal(zonedDateTime(at("2026-01-01T00:00:00Z"), "UTC").time, "00:00");
+});
+
+test("logicalDate follows the home zone, not the device", ()=>{
+  const instant = at("2026-10-19T06:00:00Z");
+  inEachZone((tz)=>{
+    assert.equal(logicalDate(instant, { timeZone: "Asia/Tokyo" }), "2026-10-19", tz);
+    assert.equal(logicalDate(instant, { timeZone: "America/Los_Angeles" }), "2026-10-18", tz);
+  });
+});
+
+test("logicalDate counts hours before the day start as the day before", ()=>{
+  const ny = { timeZone: "America/New_York", dayStartHour: 4 };
+  assert.equal(logicalDate(at("2026-10-20T04:59:00Z"), ny), "2026-10-19"); // 00:59 EDT
+  assert.equal(logicalDate(at("2026-10-20T07:59:00Z"), ny), "2026-10-19"); // 03:59 EDT
+  assert.equal(logicalDate(at("2026-10-20T08:00:00Z"), ny), "2026-10-20"); // 04:00 EDT
+  // the spring-forward night is an hour shorter, and still one day
+  assert.equal(logicalDate(at("2026-03-08T07:30:00Z"), ny), "2026-03-07"); // 03:30 EDT
+  assert.equal(logicalDate(at("2026-03-08T08:00:00Z"), ny), "2026-03-08"); // 04:00 EDT
+  // both 01:30s of the fall-back night belong to the evening before
+  const late = { timeZone: "America/New_York", dayStartHour: 2 };
+  assert.equal(logicalDate(at("2026-11-01T05:30:00Z"), late), "2026-10-31");
+  assert.equal(logicalDate(at("2026-11-01T06:30:00Z"), late), "2026-10-31");
+  assert.equal(logicalDate(at("2026-11-01T07:30:00Z"), late), "2026-11-01"); // 02:30 EST
+  // a day start that falls in Sao Paulo's skipped hour
+  const sp = { timeZone: "America/Sao_Paulo", dayStartHour: 1 };
+  assert.equal(logicalDate(at("2018-11-04T02:59:00Z"), sp), "2018-11-03");
+  assert.equal(logicalDate(at("2018-11-04T03:00:00Z"), sp), "2018-11-04");
+  // midnight start is the plain wall-clock date
+  assert.equal(logicalDate(at("2026-10-20T04:00:00Z"), { timeZone: "America/New_York" }), "2026-10-20");
+});
+
+test("an unknown home zone falls back to the device's", ()=>{
+  assert.equal(isValidTimeZone("Europe/Berlin"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+  assert.equal(isValidTimeZone(""), false);
+  const instant = at("2026-10-19T12:00:00Z");
+  assert.deepEqual(zonedDateTime(instant, "Mars/Olympus_Mons"), zonedDateTime(instant, ""));
+});
+
+test("minutesIntoDay orders clock times within the logical day", ()=>{
+  assert.equal(minutesIntoDay("00:00"), 0);
+  assert.equal(minutesIntoDay("23:59"), 1439);
+  assert.equal(minutesIntoDay("04:00", 4), 0);
+  assert.ok(minutesIntoDay("01:00", 4) > minutesIntoDay("23:00", 4));
+  assert.ok(minutesIntoDay("05:00", 4) < minutesIntoDay("23:00", 4));
+});
+
+test("rollup periods stop at today and start with the period before", ()=>{
+  const weeks = rollupPeriods("week", { start: "2026-10-05", end: "2026-10-31" }, 1, "2026-10-21");
+  assert.deepEqual(weeks.map(p => [p.start, p.end, p.partial]), [
+    ["2026-09-28", "2026-10-04", false], ["2026-10-05", "2026-10-11", false],
+    ["2026-10-12", "2026-10-18", false], ["2026-10-19", "2026-10-21", true]
+  ]);
+  // a range that starts after today has nothing to roll up
+  assert.deepEqual(rollupPeriods("month", { start: "2027-01-01", end: "2027-03-31" }, 1, "2026-10-21"), []);
+  assert.deepEqual(rollupPeriods("week", { start: "2026-10-26", end: "2026-11-08" }, 1, "2026-10-21"), []);
+});
@@ -0,0 +1,59 @@
+// Goal tests (goals.js). Run with `node --test tests/`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeGoal, goalPeriod, goalHistoryPeriods, goalChange } from "../goals.js";
+
+const NUMBER = { type: "number", unit: "km", label: "", choices: [] };
+const goal = (fields) => normalizeGoal({ metric: "count", target: 3, period: "week", since: "2026-01-01", ...fields }, NUMBER, "2026-10-19");
+
+test("goal periods follow the week start and the calendar", ()=>{
+  const g = goal({});
+  assert.deepEqual(goalPeriod(g, "2026-10-21", 1), { start: "2026-10-19", end: "2026-10-25", label: "2026-W43" });
+  assert.deepEqual(goalPeriod(g, "2026-10-21", 0), { start: "2026-10-18", end: "2026-10-24", label: "Week of 2026-10-18" });
+  const q = goalPeriod(goal({ period: "quarter" }), "2026-11-30", 1);
+  assert.deepEqual([q.start, q.end, q.label], ["2026-10-01", "2026-12-31", "2026-Q4"]);
+  const m = goalPeriod(goal({ period: "month" }), "2024-02-10", 1);
+  assert.deepEqual([m.start, m.end], ["2024-02-01", "2024-02-29"]);
+});
+
+test("every-N-days periods count from the goal's start", ()=>{
+  const g = goal({ period: "days", days: 10, start: "2026-10-01" });
+  assert.deepEqual(goalPeriod(g, "2026-10-19", 1), { start: "2026-10-11", end: "2026-10-20", label: "2026-10-11 → 2026-10-20" });
+  assert.equal(goalPeriod(g, "2026-09-30", 1).start, "2026-09-21");
+  // without a start, the day the goal was set is the anchor
+  assert.equal(normalizeGoal({ metric: "count", target: 2, period: "days" }, NUMBER, "2026-10-19").start, "2026-10-19");
+});
+
+test("history lists closed periods, each judged by the goal in force then", ()=>{
+  const old = { ...goal({ target: 2, since: "2026-09-21" }), until: "2026-10-07" };
+  const h = { goal: goal({ target: 4, since: "2026-10-07" }), goalLog: [old] };
+  const periods = goalHistoryPeriods(h, "2026-10-21", 1);
+  // the week of 10-05 ends after the change, so the new goal judges it
+  assert.deepEqual(periods.map(p => [p.start, p.goal.target]), [
+    ["2026-10-12", 4], ["2026-10-05", 4], ["2026-09-28", 2], ["2026-09-21", 2]
+  ]);
+  assert.equal(goalHistoryPeriods(h, "2026-10-21", 1, 2).length, 2);
+});
+
+test("a new goal starts today; the old one goes to the log", ()=>{
+  const old = { goal: goal({ since: "2026-10-01" }), goalLog: [], detail: NUMBER };
+  assert.equal(goalChange(old, { goal: { metric: "count", target: 3, period: "week" } }, "2026-10-19").goal, old.goal);
+
+  const changed = goalChange(old, { goal: { metric: "count", target: 5, period: "week" } }, "2026-10-19");
+  assert.equal(changed.goal.since, "2026-10-19");
+  assert.equal(changed.goal.target, 5);
+  assert.deepEqual(changed.goalLog, [{ ...old.goal, until: "2026-10-19" }]);
+
+  const removed = goalChange(old, { goal: null }, "2026-10-19");
+  assert.equal(removed.goal, null);
+  assert.equal(removed.goalLog[0].until, "2026-10-19");
+});
+
+test("a goal set today is replaced without a log entry", ()=>{
+  const old = { goal: goal({ since: "2026-10-19" }), goalLog: [], detail: NUMBER };
+  const res = goalChange(old, { goal: { metric: "sum", target: 20, period: "month" } }, "2026-10-19");
+  assert.equal(res.goal.metric, "sum");
+  assert.equal(res.goal.since, "2026-10-19");
+  assert.equal(res.goalLog, undefined);
+});
@@ -0,0 +1,73 @@
+// Sync merge tests (merge.js). Run with `node --test tests/`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeDay, mergeHabits, toRemoteDay, markDaySynced } from "../merge.js";
+
+const D = "2026-10-19";
+const cell = (done, updatedAt, device, syncedRev) =>
+  syncedRev === undefined ? { done, value: null, updatedAt, device } : { done, value: null, updatedAt, device, syncedRev };
+
+test("cells on one side only are pushed or taken", ()=>{
+  const res = mergeDay(D, { a: cell(true, 10, "A") }, { b: cell(true, 20, "B") });
+  assert.deepEqual(res.day.a, cell(true, 10, "A"));
+  assert.deepEqual(res.day.b, cell(true, 20, "B", 20));
+  assert.equal(res.needsPush, true);
+  assert.equal(res.changed, true);
+  assert.deepEqual(res.conflicts, []);
+});
+
+test("the same content only takes the newer revision", ()=>{
+  const res = mergeDay(D, { a: cell(true, 10, "A", 5) }, { a: cell(true, 30, "B") });
+  assert.deepEqual(res.day.a, cell(true, 30, "B", 30));
+  assert.equal(res.changed, false);
+  assert.equal(res.needsPush, false);
+  // the server has an older stamp of the same content: push ours
+  assert.equal(mergeDay(D, { a: cell(true, 40, "A", 5) }, { a: cell(true, 30, "B") }).needsPush, true);
+});
+
+test("only one side changed since the last sync: that side wins", ()=>{
+  const local = mergeDay(D, { a: cell(true, 50, "A", 30) }, { a: cell(false, 30, "B") });
+  assert.deepEqual(local.day.a, cell(true, 50, "A", 30));
+  assert.equal(local.needsPush, true);
+  assert.equal(local.changed, false);
+
+  const remote = mergeDay(D, { a: cell(true, 30, "A", 30) }, { a: cell(false, 45, "B") });
+  assert.deepEqual(remote.day.a, cell(false, 45, "B", 45));
+  assert.equal(remote.changed, true);
+  assert.equal(remote.needsPush, false);
+});
+
+test("both sides changed on different devices: a conflict, local kept", ()=>{
+  const L = cell(true, 50, "A", 30), R = cell(false, 60, "B");
+  const res = mergeDay(D, { a: L }, { a: R });
+  assert.deepEqual(res.day.a, L);
+  assert.deepEqual(res.conflicts, [{ date: D, habitId: "a", local: L, remote: R }]);
+  assert.equal(res.changed, false);
+});
+
+test("both changed by the same device: the newest edit wins", ()=>{
+  const res = mergeDay(D, { a: cell(true, 50, "A", 30) }, { a: cell(false, 60, "A") });
+  assert.deepEqual(res.day.a, cell(false, 60, "A", 60));
+  assert.deepEqual(res.conflicts, []);
+  const older = mergeDay(D, { a: cell(true, 70, "A", 30) }, { a: cell(false, 60, "A") });
+  assert.deepEqual(older.day.a, cell(true, 70, "A", 30));
+  assert.equal(older.needsPush, true);
+});
+
+test("syncedRev stays local", ()=>{
+  const day = { a: cell(true, 10, "A", 5) };
+  assert.deepEqual(toRemoteDay(day), { a: cell(true, 10, "A") });
+  assert.equal(markDaySynced(day).a.syncedRev, 10);
+});
+
+test("habit lists merge per habit and honour tombstones", ()=>{
+  const local = [{ id: "a", name: "A", updatedAt: 10 }, { id: "b", name: "B", updatedAt: 50 }];
+  const remote = [{ id: "b", name: "B old", updatedAt: 20 }, { id: "c", name: "C", updatedAt: 30 }, { id: "a", name: "A2", updatedAt: 40 }];
+  const { habits, tombstones } = mergeHabits(local, remote, { c: 35 }, { a: 5 });
+  // local was edited last, so its order leads
+  assert.deepEqual(habits.map(h => h.name), ["A2", "B"]);
+  assert.deepEqual(tombstones, { a: 5, c: 35 });
+  // a habit edited after it was deleted elsewhere comes back
+  assert.deepEqual(mergeHabits([], remote, { c: 25 }, {}).habits.map(h => h.id), ["b", "c", "a"]);
+});
@@ -0,0 +1,71 @@
+// Schema migration tests (migrations.js). Run with `node --test tests/`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DATA_SCHEMA, MIGRATIONS, schemaOf, migrateData } from "../migrations.js";
+
+const v1 = () => ({
+  habits: [
+    { id: "run", name: "Run", hasText: true, textLabel: "km" },
+    { id: "note", name: "Note", hasText: true, textLabel: "Mood" },
+    { id: "yoga", name: "Yoga" }
+  ],
+  entries: {
+    "2024-01-01": { run: { done: true, text: "5" }, note: { done: true, text: "good" }, yoga: { done: true } },
+    "2024-01-02": { run: { done: true, text: "5,2 km" }, note: { done: false, text: "" } }
+  }
+});
+
+test("migrations run in order up to the current schema", ()=>{
+  const steps = MIGRATIONS.map(m => m.to);
+  assert.deepEqual(steps, [...steps].sort((a, b) => a - b));
+  assert.equal(steps[steps.length - 1], DATA_SCHEMA);
+});
+
+test("untagged data counts as v1", ()=>{
+  assert.equal(schemaOf(undefined), 1);
+  assert.equal(schemaOf("2"), 2);
+  assert.equal(schemaOf(-3), 1);
+});
+
+test("v1 text habits with numeric history become number habits", ()=>{
+  const up = migrateData({ schema: 1, ...v1() }, "Test data");
+  assert.equal(up.schema, DATA_SCHEMA);
+  const byId = Object.fromEntries(up.habits.map(h => [h.id, h]));
+  assert.equal(byId.run.detail.type, "number");
+  assert.equal(byId.run.detail.unit, "km");
+  assert.equal(byId.note.detail.type, "text");
+  assert.equal(byId.note.detail.label, "Mood");
+  assert.equal(byId.yoga.detail.type, "none");
+  assert.deepEqual(up.entries["2024-01-01"], {
+    run: { done: true, value: 5 }, note: { done: true, value: "good" }, yoga: { done: true, value: null }
+  });
+  assert.deepEqual(up.entries["2024-01-02"].run, { done: true, value: 5.2 });
+});
+
+test("legacy text that doesn't fit the new type is kept", ()=>{
+  const data = v1();
+  data.habits[0].detail = { type: "count" }; // typed already, but the cell isn't
+  data.entries["2024-01-01"].run.text = "lots";
+  const up = migrateData({ schema: 1, ...data }, "Test data");
+  assert.deepEqual(up.entries["2024-01-01"].run, { done: true, value: null, text: "lots" });
+});
+
+test("days without habits are read with this device's habits", ()=>{
+  const local = [{ id: "run", detail: { type: "number", unit: "km", label: "", choices: [] } }];
+  const up = migrateData({ habits: null, entries: { "2024-01-03": { run: { done: true, text: "3 km" } } } }, "A day", local);
+  assert.equal(up.habits, null);
+  assert.deepEqual(up.entries["2024-01-03"].run, { done: true, value: 3 });
+});
+
+test("already upgraded but untagged data passes through", ()=>{
+  const habits = [{ id: "run", name: "Run", detail: { type: "number", unit: "km" } }];
+  const entries = { "2024-01-01": { run: { done: true, value: 5, updatedAt: 7, device: "d" } } };
+  const up = migrateData({ habits, entries }, "Test data");
+  assert.deepEqual(up.entries, { "2024-01-01": { run: { done: true, value: 5, updatedAt: 7, device: "d" } } });
+  assert.equal(up.habits[0].detail.type, "number");
+});
+
+test("data from a newer version is refused", ()=>{
+  assert.throws(()=> migrateData({ schema: DATA_SCHEMA + 1, habits: [], entries: {} }, "This backup"), /This backup was saved by a newer version/);
+});
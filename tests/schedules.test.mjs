@@ -0,0 +1,69 @@
+// Schedule and streak tests (schedules.js). Run with `node --test tests/`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isScheduledOn, isDueOn, computeStreaks } from "../schedules.js";
+
+const habit = (schedule = {}, extra = {}) => ({
+  id: "h",
+  schedule: { kind: "daily", weekdays: [], times: 1, every: 1, start: "", pauseFrom: "", pauseTo: "", ...schedule },
+  ...extra
+});
+
+const doneOn = (...dates) => Object.fromEntries(dates.map(d => [d, { h: { done: true } }]));
+
+const streak = (h, entries, today, grace) => computeStreaks([h], entries, { today, grace }).get("h");
+
+test("weekday schedules are due on their weekdays only", ()=>{
+  const h = habit({ kind: "weekdays", weekdays: [1, 3, 5] });
+  assert.equal(isScheduledOn(h, "2026-10-19"), true);  // Monday
+  assert.equal(isScheduledOn(h, "2026-10-20"), false); // Tuesday
+  assert.equal(isScheduledOn(habit({ kind: "everyN", every: 3, start: "2026-10-01" }), "2026-10-04"), true);
+  assert.equal(isScheduledOn(habit({}, { archivedAt: "2026-10-10" }), "2026-10-10"), false);
+});
+
+test("quota schedules stop being due once the period's quota is met", ()=>{
+  const h = habit({ kind: "perWeek", times: 2 });
+  const entries = doneOn("2026-10-12", "2026-10-13");
+  assert.equal(isDueOn(h, "2026-10-14", entries), false);
+  assert.equal(isDueOn(h, "2026-10-13", entries), true); // the other day alone doesn't meet it
+  assert.equal(isDueOn(h, "2026-10-19", entries), true); // next week
+});
+
+test("rest days neither extend nor break a run", ()=>{
+  const h = habit({ kind: "weekdays", weekdays: [1, 3, 5] });
+  // Mon, Tue (a rest day, done anyway), Wed, Fri; Thursday is a rest day too
+  const s = streak(h, doneOn("2026-10-12", "2026-10-13", "2026-10-14", "2026-10-16"), "2026-10-16");
+  assert.equal(s.current, 3);
+  assert.equal(s.longest, 3);
+  assert.equal(s.unit, "day");
+  assert.equal(s.lastDone, "2026-10-16");
+});
+
+test("a missed due day ends the run, but today only counts once done", ()=>{
+  const h = habit();
+  const entries = doneOn("2026-10-12", "2026-10-13", "2026-10-14");
+  assert.equal(streak(h, entries, "2026-10-15").current, 3);
+  const later = streak(h, { ...entries, ...doneOn("2026-10-16") }, "2026-10-16");
+  assert.equal(later.current, 1);
+  assert.equal(later.longest, 3);
+  assert.equal(later.daysSince, 0);
+});
+
+test("grace days are forgiven within a 7-day window", ()=>{
+  const h = habit();
+  const entries = doneOn("2026-10-12", "2026-10-13", "2026-10-15", "2026-10-16");
+  assert.equal(streak(h, entries, "2026-10-16", 1).current, 4);
+  assert.equal(streak(h, entries, "2026-10-16", 0).current, 2);
+  // a second miss in the same week ends it
+  assert.equal(streak(h, doneOn("2026-10-12", "2026-10-14", "2026-10-16"), "2026-10-16", 1).current, 1);
+});
+
+test("quota schedules count weeks that met their quota", ()=>{
+  const h = habit({ kind: "perWeek", times: 2 });
+  const entries = doneOn("2026-09-29", "2026-10-06", "2026-10-08", "2026-10-12", "2026-10-13");
+  const s = streak(h, entries, "2026-10-19"); // a Monday: this week is still open
+  assert.equal(s.current, 2);
+  assert.equal(s.longest, 2);
+  assert.equal(s.unit, "week");
+});
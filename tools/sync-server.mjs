@@ -0,0 +1,153 @@
+// Reference server for the HTTP sync API (see docs/sync-api.md).
+// No dependencies; keeps everything in one JSON file. Meant for local testing.
+//
+//   node tools/sync-server.mjs --port 8787 --key devkey --file ./sync-data.json
+
+import { createServer } from "node:http";
+import { readFileSync, writeFileSync, renameSync, existsSync } from "node:fs";
+
+function arg(name, fallback){
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg("port", process.env.PORT || 8787));
+const API_KEY = arg("key", process.env.SYNC_API_KEY || "");
+const FILE = arg("file", process.env.SYNC_FILE || "sync-data.json");
+const MAX_BODY = 10 * 1024 * 1024;
+
+if(!API_KEY){
+  console.error("Refusing to start without an API key: pass --key or set SYNC_API_KEY.");
+  process.exit(1);
+}
+
+function load(){
+  if(!existsSync(FILE)) return { habits: null, tombstones: {}, schema: null, crypto: null, days: {}, changes: {}, clock: 0 };
+  return { changes: {}, ...JSON.parse(readFileSync(FILE, "utf8")) };
+}
+
+function save(){
+  writeFileSync(FILE + ".tmp", JSON.stringify(db));
+  renameSync(FILE + ".tmp", FILE);
+}
+
+const db = load();
+
+// Strictly increasing server time, so two writes in the same ms still
+// get distinct stamps and incremental pulls never miss one.
+function tick(){
+  db.clock = Math.max(Date.now(), (db.clock || 0) + 1);
+  return db.clock;
+}
+
+function isISODate(s){
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+function dayList(filter){
+  return Object.entries(db.days)
+    .filter(([date, d]) => filter(date, d))
+    .map(([date, d]) => ({ date, day: d.day, schema: d.schema, updatedAt: d.updatedAt }));
+}
+
+function handle(req){
+  switch(req.action){
+    case "ping":
+      return { ok: true, name: `sync-server (${FILE})`, serverTime: Date.now() };
+    case "getHabits":
+      return { ok: true, habits: db.habits, tombstones: db.tombstones || {}, schema: db.schema ?? null, crypto: db.crypto ?? null };
+    case "putHabits":
+      // an array, or an encrypted envelope (object) when the app encrypts
+      if(!req.habits || typeof req.habits !== "object") return { ok: false, error: "habits must be an array or an encrypted object." };
+      db.habits = req.habits;
+      db.tombstones = (req.tombstones && typeof req.tombstones === "object") ? req.tombstones : {};
+      db.schema = Number(req.schema) || null;
+      db.crypto = (req.crypto && typeof req.crypto === "object") ? req.crypto : null;
+      save();
+      return { ok: true };
+    case "getDays": {
+      const want = new Set(Array.isArray(req.dates) ? req.dates : []);
+      return { ok: true, days: dayList(date => want.has(date)) };
+    }
+    case "pullDays": {
+      const since = Number(req.since) || 0;
+      return { ok: true, days: dayList((_date, d) => d.updatedAt > since), serverTime: Date.now() };
+    }
+    case "putDays": {
+      if(!Array.isArray(req.days)) return { ok: false, error: "days must be an array." };
+      const bad = req.days.find(d => !isISODate(d?.date));
+      if(bad) return { ok: false, error: `Invalid date: ${bad?.date}` };
+      const now = tick();
+      for(const d of req.days){
+        db.days[d.date] = {
+          day: (d.day && typeof d.day === "object") ? d.day : {},
+          schema: Number(d.schema) || null,
+          clientUpdatedAt: Number(d.clientUpdatedAt) || 0,
+          device: String(d.device || ""),
+          updatedAt: now
+        };
+      }
+      save();
+      return { ok: true, updatedAt: now };
+    }
+    case "putChanges": {
+      if(!Array.isArray(req.changes)) return { ok: false, error: "changes must be an array." };
+      const bad = req.changes.find(c => typeof c?.id !== "string" || !c.id);
+      if(bad) return { ok: false, error: "Every change needs an id." };
+      const now = tick();
+      // records are re-sent (sealed differently) after the encryption changes
+      for(const c of req.changes) db.changes[c.id] = { ...c, updatedAt: now };
+      save();
+      return { ok: true, updatedAt: now };
+    }
+    case "pullChanges": {
+      const since = Number(req.since) || 0;
+      return { ok: true, changes: Object.values(db.changes).filter(c => c.updatedAt > since) };
+    }
+    default:
+      return { ok: false, error: `Unknown action: ${req.action}` };
+  }
+}
+
+function send(res, status, obj){
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(obj === null ? "" : JSON.stringify(obj));
+}
+
+const server = createServer((req, res) => {
+  if(req.method === "OPTIONS") return send(res, 204, null);
+  if(req.method !== "POST") return send(res, 405, { ok: false, error: "Use POST." });
+
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", chunk => {
+    body += chunk;
+    if(body.length > MAX_BODY){
+      send(res, 413, { ok: false, error: "Request too large." });
+      req.destroy();
+    }
+  });
+  req.on("end", () => {
+    let parsed;
+    try{
+      parsed = JSON.parse(body);
+    }catch(_e){
+      return send(res, 200, { ok: false, error: "Invalid JSON." });
+    }
+    if(parsed?.key !== API_KEY) return send(res, 200, { ok: false, error: "Invalid API key." });
+    try{
+      send(res, 200, handle(parsed));
+    }catch(e){
+      send(res, 200, { ok: false, error: String(e?.message || e) });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync API listening on http://localhost:${PORT}/ (data: ${FILE})`);
+});